@@ -1,318 +1,3318 @@
 import React, { useState, useRef, useEffect } from 'react';
+import {
+  aspectRatios, exportResolutions, defaultVideoFormat, getAspectRatio, getFrameSize, EXPORT_FRAME_RATE,
+  EXPORT_SAMPLE_RATE, EXPORT_AUDIO_BITRATE, SCENE_PADDING_SECONDS, base64ToBytes, bytesToBase64,
+  getClipDuration, retimeScenes, buildVoiceOverTrack, getTimelineDuration, motionPresets, transitionTypes,
+  defaultMotion, defaultFocus, defaultTransition, clamp, LOCAL_SAMPLE_RATE, localProvider,
+  generationProviders, defaultProviderSettings, mergeProviderSettings, providerCapabilities, stylePresets,
+  castKinds, defaultVisualStyle, applyVisualStyle, splitModes, scriptLocales, defaultSplitSettings, parseScript,
+  toEditableScenes, editableScenesToScript, splitEditableScene, mergeEditableScenes, joinNarration,
+  isAbortError, withRetry, runWithConcurrency, fitSceneDuration, createSceneFromJob, subtitlesToSrt,
+  subtitlesToVtt, parseSubtitleFile, validateSubtitles, resolveProvider, describeRequest, buildImageRequest,
+  createSceneJobs, buildSceneSubtitles, collectPackageFiles
+} from './pipeline.mjs';
+
+const exportBitrates = [
+  { id: 'low', name: 'Low (2 Mbps)', bitrate: 2000000 },
+  { id: 'medium', name: 'Medium (5 Mbps)', bitrate: 5000000 },
+  { id: 'high', name: 'High (10 Mbps)', bitrate: 10000000 },
+];
+
+const exportFormats = [
+  {
+    id: 'webm',
+    name: 'WebM (VP9/Opus)',
+    extension: 'webm',
+    mimeType: 'video/webm',
+    videoCodec: 'vp09.00.40.08',
+    audioCodec: 'opus',
+    muxerGlobal: 'WebMMuxer',
+    muxerVideoCodec: 'V_VP9',
+    muxerAudioCodec: 'A_OPUS',
+    muxerOptions: {},
+    recorderMimeTypes: ['video/webm;codecs=vp9,opus', 'video/webm;codecs=vp8,opus', 'video/webm'],
+  },
+  {
+    id: 'mp4',
+    name: 'MP4 (H.264/AAC)',
+    extension: 'mp4',
+    mimeType: 'video/mp4',
+    videoCodec: 'avc1.640028',
+    audioCodec: 'mp4a.40.2',
+    muxerGlobal: 'Mp4Muxer',
+    muxerVideoCodec: 'avc',
+    muxerAudioCodec: 'aac',
+    muxerOptions: { fastStart: 'in-memory' },
+    recorderMimeTypes: ['video/mp4;codecs=avc1,mp4a', 'video/mp4'],
+  },
+];
+
+// Length of a scene made from an uploaded still image
+const UPLOADED_IMAGE_SECONDS = 5;
+
+/**
+ * Decodes an uploaded or recorded audio file into a mono 16-bit narration clip, so it can be
+ * stitched into the voice-over track alongside generated narration.
+ * @param {Blob} blob - The audio file.
+ * @param {number} sampleRate - The sample rate of the other narration clips.
+ * @returns {object} The clip as `{ pcm, sampleRate }`.
+ */
+const decodeNarrationClip = async (blob, sampleRate) => {
+  const decoded = await new OfflineAudioContext(1, 1, sampleRate).decodeAudioData(await blob.arrayBuffer());
+  const mix = new OfflineAudioContext(1, Math.max(1, Math.ceil(decoded.duration * sampleRate)), sampleRate);
+  const source = mix.createBufferSource();
+  source.buffer = decoded;
+  source.connect(mix.destination);
+  source.start();
+  const samples = (await mix.startRendering()).getChannelData(0);
+
+  const pcm = new Uint8Array(samples.length * 2);
+  const view = new DataView(pcm.buffer);
+  samples.forEach((sample, i) => view.setInt16(i * 2, Math.round(clamp(sample, -1, 1) * 32767), true));
+  return { pcm, sampleRate };
+};
+
+/**
+ * Cuts a narration clip covering the whole video into one clip per scene at the scenes' current
+ * boundaries. The last scene takes whatever is left over.
+ * @param {object} clip - The narration clip.
+ * @param {Array} scenes - Timed scenes in playback order.
+ * @returns {Array} One clip per scene, or null for scenes after the narration ends.
+ */
+const splitClipAtScenes = (clip, scenes) => scenes.map((scene, i) => {
+  const toByte = (seconds) => Math.min(clip.pcm.byteLength, Math.round(seconds * clip.sampleRate) * 2);
+  const start = toByte(scene.startTime);
+  const end = i === scenes.length - 1 ? clip.pcm.byteLength : toByte(scene.startTime + scene.duration);
+  return end > start ? { pcm: clip.pcm.slice(start, end), sampleRate: clip.sampleRate } : null;
+});
+
+/**
+ * Moves a scene to a new position in the scene list.
+ * @param {Array} scenes - Scenes in playback order.
+ * @param {number} fromIndex - Current index of the scene.
+ * @param {number} toIndex - Index the scene should end up at.
+ * @returns {Array} The reordered scenes.
+ */
+const moveScene = (scenes, fromIndex, toIndex) => {
+  const reordered = [...scenes];
+  const [scene] = reordered.splice(fromIndex, 1);
+  reordered.splice(toIndex, 0, scene);
+  return reordered;
+};
+
+/**
+ * Splits a scene in two at an offset, dividing its narration clip and subtitle text between the halves.
+ * @param {Array} scenes - Scenes in playback order.
+ * @param {Array} subtitles - Subtitle cues linked to scenes by `sceneId`.
+ * @param {string} sceneId - The scene to split.
+ * @param {number} offset - Seconds from the start of the scene.
+ * @returns {object} The updated `{ scenes, subtitles }`.
+ */
+const splitScene = (scenes, subtitles, sceneId, offset) => {
+  const scene = scenes.find(s => s.id === sceneId);
+  const second = { ...scene, id: `img_${Date.now()}_${Math.random()}`, duration: Math.round((scene.duration - offset) * 100) / 100 };
+  const first = { ...scene, duration: offset };
+  if (scene.clip) {
+    second.clip = { ...scene.clip, trimStart: scene.clip.trimStart + offset };
+  }
+
+  let ratio = offset / scene.duration;
+  if (scene.voiceClip) {
+    const cut = Math.min(Math.round(offset * scene.voiceClip.sampleRate) * 2, scene.voiceClip.pcm.byteLength);
+    first.voiceClip = { ...scene.voiceClip, pcm: scene.voiceClip.pcm.slice(0, cut) };
+    second.voiceClip = { ...scene.voiceClip, pcm: scene.voiceClip.pcm.slice(cut) };
+    ratio = Math.min(1, offset / getClipDuration(scene.voiceClip));
+  }
+
+  const nextSubtitles = subtitles.flatMap(sub => {
+    if (sub.sceneId !== sceneId) return [sub];
+    const words = sub.text.split(/\s+/).filter(Boolean);
+    const cut = Math.max(1, Math.round(words.length * ratio));
+    const parts = [
+      { ...sub, text: words.slice(0, cut).join(' ') },
+      { ...sub, sceneId: second.id, text: words.slice(cut).join(' ') },
+    ];
+    return parts.filter(part => part.text);
+  });
+
+  const index = scenes.indexOf(scene);
+  return {
+    scenes: [...scenes.slice(0, index), first, second, ...scenes.slice(index + 1)],
+    subtitles: nextSubtitles,
+  };
+};
+
+/**
+ * Inserts a copy of a scene, and its subtitles, directly after the original.
+ * @param {Array} scenes - Scenes in playback order.
+ * @param {Array} subtitles - Subtitle cues linked to scenes by `sceneId`.
+ * @param {string} sceneId - The scene to duplicate.
+ * @returns {object} The updated `{ scenes, subtitles }`.
+ */
+const duplicateScene = (scenes, subtitles, sceneId) => {
+  const index = scenes.findIndex(s => s.id === sceneId);
+  const copy = { ...scenes[index], id: `img_${Date.now()}_${Math.random()}` };
+  return {
+    scenes: [...scenes.slice(0, index + 1), copy, ...scenes.slice(index + 1)],
+    subtitles: subtitles.flatMap(sub => sub.sceneId === sceneId ? [sub, { ...sub, sceneId: copy.id }] : [sub]),
+  };
+};
+
+/**
+ * Removes a scene and its subtitles.
+ * @param {Array} scenes - Scenes in playback order.
+ * @param {Array} subtitles - Subtitle cues linked to scenes by `sceneId`.
+ * @param {string} sceneId - The scene to delete.
+ * @returns {object} The updated `{ scenes, subtitles }`.
+ */
+const deleteScene = (scenes, subtitles, sceneId) => ({
+  scenes: scenes.filter(s => s.id !== sceneId),
+  subtitles: subtitles.filter(sub => sub.sceneId !== sceneId),
+});
+
+// Caption appearance. `size` scales the format's caption size; `maxChars` and `maxLines` bound each caption card.
+const captionFonts = ['sans-serif', 'serif', 'monospace', 'Arial Black', 'Georgia', 'Impact', 'Trebuchet MS', 'Verdana'];
+const captionBackgrounds = [
+  { id: 'box', name: 'Box' },
+  { id: 'outline', name: 'Outline' },
+  { id: 'none', name: 'None' },
+];
+const captionPositions = [
+  { id: 'bottom', name: 'Bottom' },
+  { id: 'middle', name: 'Middle' },
+  { id: 'top', name: 'Top' },
+];
+const defaultCaptionStyle = {
+  enabled: true,
+  font: 'sans-serif',
+  size: 1,
+  textColor: '#ffffff',
+  highlightColor: '#facc15',
+  background: 'box',
+  boxColor: '#000000',
+  boxOpacity: 0.7,
+  outlineColor: '#000000',
+  position: 'bottom',
+  maxChars: 42,
+  maxLines: 2,
+  karaoke: false,
+};
+
+/**
+ * Converts a #rrggbb color and an opacity into a CSS rgba() color.
+ * @param {string} hex - The color.
+ * @param {number} alpha - Opacity from 0 to 1.
+ * @returns {string} The rgba() color.
+ */
+const hexToRgba = (hex, alpha) => {
+  const value = parseInt(hex.slice(1), 16);
+  return `rgba(${(value >> 16) & 255}, ${(value >> 8) & 255}, ${value & 255}, ${alpha})`;
+};
+
+/**
+ * Breaks subtitle cues into caption cards of at most `maxLines` lines, with each word timed to the
+ * narration so cards advance as they are spoken. Lines hold at most `maxChars` characters and never
+ * run wider than the frame's safe area at the caption font size.
+ * @param {Array} subtitles - Subtitle cues linked to scenes by `sceneId`.
+ * @param {Array} scenes - Timed scenes.
+ * @param {object} style - The caption style.
+ * @param {object} layout - The frame's `aspectRatios` entry.
+ * @returns {Array} Cards as `{ start, end, lines }`, where each line is an array of timed words.
+ */
+const buildCaptionCards = (subtitles, scenes, style, layout) => {
+  const { maxChars, maxLines } = style;
+  // Measured on a frame with a short side of 1000px; widths scale with the frame, so any size gives the same breaks
+  const frameWidth = layout.ratio >= 1 ? 1000 * layout.ratio : 1000;
+  const fontSize = Math.round(1000 * layout.captionSize * style.size);
+  const maxWidth = frameWidth * (1 - layout.safeArea.left - layout.safeArea.right) - fontSize;
+  const measureCtx = document.createElement('canvas').getContext('2d');
+  measureCtx.font = `bold ${fontSize}px ${style.font}`;
+  const fits = (text) => text.length <= maxChars && measureCtx.measureText(text).width <= maxWidth;
+
+  const cards = [];
+  subtitles.forEach(cue => {
+    const scene = scenes.find(s => s.id === cue.sceneId);
+    // Cues that cover their whole scene follow its narration; others spread words across the cue
+    const coversScene = scene && Math.abs(scene.startTime - cue.startTime) < 0.01
+      && Math.abs(scene.startTime + scene.duration - cue.endTime) < 0.01;
+    const words = estimateWordTimings(cue.text, coversScene ? scene : { startTime: cue.startTime, duration: cue.endTime - cue.startTime });
+    if (words.length === 0) return;
+
+    const lines = [];
+    let line = [];
+    words.forEach(word => {
+      if (line.length > 0 && !fits([...line, word].map(w => w.word).join(' '))) {
+        lines.push(line);
+        line = [];
+      }
+      line.push(word);
+    });
+    lines.push(line);
+
+    const cueCards = [];
+    for (let i = 0; i < lines.length; i += maxLines) {
+      const cardLines = lines.slice(i, i + maxLines);
+      cueCards.push({ start: i === 0 ? cue.startTime : cardLines[0][0].start, end: cue.endTime, lines: cardLines });
+    }
+    cueCards.forEach((card, i) => {
+      if (i < cueCards.length - 1) card.end = cueCards[i + 1].start;
+    });
+    cards.push(...cueCards);
+  });
+  return cards;
+};
+
+/**
+ * Draws a caption card inside the frame's safe area. With karaoke on, the word being spoken is highlighted.
+ * @param {CanvasRenderingContext2D} ctx - The target canvas context.
+ * @param {object} card - A card from `buildCaptionCards`.
+ * @param {number} time - Timeline position in seconds.
+ * @param {number} width - Frame width in pixels.
+ * @param {number} height - Frame height in pixels.
+ * @param {object} layout - The frame's `aspectRatios` entry.
+ * @param {object} style - The caption style.
+ */
+const drawCaption = (ctx, card, time, width, height, layout, style) => {
+  const { safeArea } = layout;
+  const fontSize = Math.round(Math.min(width, height) * layout.captionSize * style.size);
+  const lineHeight = Math.round(fontSize * 1.3);
+  const padding = Math.round(fontSize * 0.5);
+  const centerX = width * (safeArea.left + (1 - safeArea.left - safeArea.right) / 2);
+  ctx.font = `bold ${fontSize}px ${style.font}`;
+
+  const lineWidths = card.lines.map(line => ctx.measureText(line.map(w => w.word).join(' ')).width);
+  const boxWidth = Math.max(...lineWidths) + padding * 2;
+  const boxHeight = card.lines.length * lineHeight + padding * 2;
+  const boxY = style.position === 'top'
+    ? Math.round(height * safeArea.top)
+    : style.position === 'middle'
+      ? Math.round((height - boxHeight) / 2)
+      : height - Math.round(height * safeArea.bottom) - boxHeight;
+
+  ctx.save();
+  if (style.background === 'box') {
+    ctx.fillStyle = hexToRgba(style.boxColor, style.boxOpacity);
+    ctx.fillRect(centerX - boxWidth / 2, boxY, boxWidth, boxHeight);
+  }
+  ctx.textAlign = 'left';
+  ctx.textBaseline = 'middle';
+  ctx.lineJoin = 'round';
+  ctx.lineWidth = Math.max(2, fontSize * 0.15);
+  ctx.strokeStyle = style.outlineColor;
+  const spaceWidth = ctx.measureText(' ').width;
+  card.lines.forEach((line, i) => {
+    let x = centerX - lineWidths[i] / 2;
+    const y = boxY + padding + i * lineHeight + lineHeight / 2;
+    line.forEach(word => {
+      const spoken = style.karaoke && time >= word.start && time < word.end;
+      if (style.background === 'outline') ctx.strokeText(word.word, x, y);
+      ctx.fillStyle = spoken ? style.highlightColor : style.textColor;
+      ctx.fillText(word.word, x, y);
+      x += ctx.measureText(word.word).width + spaceWidth;
+    });
+  });
+  ctx.restore();
+};
+
+const easeInOut = (t) => t * t * (3 - 2 * t);
+
+/**
+ * Returns the part of an image shown in a frame of the given shape when cropped around a focal point.
+ * @param {object} img - The image, with its `width` and `height`.
+ * @param {object} focus - The focal point, 0-1 across and down the image.
+ * @param {number} frameRatio - The frame's width divided by its height.
+ * @returns {object} The crop as `{ x, y, width, height }` fractions of the image.
+ */
+const getCropRect = (img, focus, frameRatio) => {
+  const width = Math.min(1, (img.height * frameRatio) / img.width);
+  const height = Math.min(1, img.width / frameRatio / img.height);
+  return {
+    x: clamp(focus.x - width / 2, 0, 1 - width),
+    y: clamp(focus.y - height / 2, 0, 1 - height),
+    width,
+    height,
+  };
+};
+
+/**
+ * Draws a scene's image at a point in time. The image is cropped to the frame's shape around the
+ * scene's focal point, and its pan/zoom motion is applied relative to that crop.
+ * @param {CanvasRenderingContext2D} ctx - The target canvas context.
+ * @param {object} scene - The scene to draw.
+ * @param {number} time - Timeline position in seconds.
+ * @param {number} width - Frame width in pixels.
+ * @param {number} height - Frame height in pixels.
+ */
+const drawSceneImage = (ctx, scene, time, width, height) => {
+  // Video clips draw their current frame once one is decoded, and their poster image until then
+  const video = scene.clipVideo && scene.clipVideo.readyState >= 2 ? scene.clipVideo : null;
+  const img = video || scene.imgObject;
+  if (!img) {
+    ctx.fillStyle = 'black';
+    ctx.fillRect(0, 0, width, height);
+    return;
+  }
+
+  const { start, end } = scene.motion || defaultMotion;
+  const progress = easeInOut(clamp((time - scene.startTime) / scene.duration, 0, 1));
+  const zoom = Math.max(1, start.zoom + (end.zoom - start.zoom) * progress);
+  const x = start.x + (end.x - start.x) * progress;
+  const y = start.y + (end.y - start.y) * progress;
+
+  const focus = scene.focus || defaultFocus;
+  const imgWidth = video ? video.videoWidth : img.width;
+  const imgHeight = video ? video.videoHeight : img.height;
+  const cropWidth = Math.min(imgWidth, imgHeight * (width / height));
+  const cropHeight = cropWidth / (width / height);
+  const sourceWidth = cropWidth / zoom;
+  const sourceHeight = cropHeight / zoom;
+  const sourceX = clamp((focus.x + x - 0.5) * imgWidth - sourceWidth / 2, 0, imgWidth - sourceWidth);
+  const sourceY = clamp((focus.y + y - 0.5) * imgHeight - sourceHeight / 2, 0, imgHeight - sourceHeight);
+  ctx.drawImage(img, sourceX, sourceY, sourceWidth, sourceHeight, 0, 0, width, height);
+};
+
+/**
+ * Draws the blend between two scenes partway through a transition.
+ * @param {CanvasRenderingContext2D} ctx - The target canvas context.
+ * @param {string} type - The transition type.
+ * @param {object} from - The outgoing scene.
+ * @param {object} to - The incoming scene.
+ * @param {number} progress - Transition progress from 0 to 1.
+ * @param {number} time - Timeline position in seconds.
+ * @param {number} width - Frame width in pixels.
+ * @param {number} height - Frame height in pixels.
+ */
+const drawTransition = (ctx, type, from, to, progress, time, width, height) => {
+  ctx.save();
+  if (type === 'crossfade') {
+    drawSceneImage(ctx, from, time, width, height);
+    ctx.globalAlpha = progress;
+    drawSceneImage(ctx, to, time, width, height);
+  } else if (type === 'slide') {
+    ctx.translate(-progress * width, 0);
+    drawSceneImage(ctx, from, time, width, height);
+    ctx.translate(width, 0);
+    drawSceneImage(ctx, to, time, width, height);
+  } else if (type === 'wipe') {
+    drawSceneImage(ctx, from, time, width, height);
+    ctx.beginPath();
+    ctx.rect(0, 0, progress * width, height);
+    ctx.clip();
+    drawSceneImage(ctx, to, time, width, height);
+  } else if (type === 'dipToBlack') {
+    ctx.fillStyle = 'black';
+    ctx.fillRect(0, 0, width, height);
+    ctx.globalAlpha = progress < 0.5 ? 1 - progress * 2 : progress * 2 - 1;
+    drawSceneImage(ctx, progress < 0.5 ? from : to, time, width, height);
+  } else {
+    drawSceneImage(ctx, progress < 0.5 ? from : to, time, width, height);
+  }
+  ctx.restore();
+};
+
+/**
+ * Finds the transition in progress at a point in time, if any.
+ * @param {Array} images - Scenes in playback order.
+ * @param {number} index - Index of the scene active at that time.
+ * @param {number} time - Timeline position in seconds.
+ * @returns {object|null} The transition type, the two scenes and the progress.
+ */
+const findActiveTransition = (images, index, time) => {
+  const candidates = [index, index + 1];
+  for (const toIndex of candidates) {
+    const to = images[toIndex];
+    const from = images[toIndex - 1];
+    if (!to || !from || !to.transition || to.transition.type === 'cut') continue;
+    const length = Math.min(to.transition.duration, from.duration, to.duration);
+    const start = to.startTime - length / 2;
+    if (length > 0 && time >= start && time < start + length) {
+      return { type: to.transition.type, from, to, progress: (time - start) / length };
+    }
+  }
+  return null;
+};
+
+/**
+ * Draws a single frame of the scene timeline. Used by both the preview canvas and video export.
+ * @param {CanvasRenderingContext2D} ctx - The target canvas context.
+ * @param {object} options - Frame size and layout, time position, scenes, and the caption cards and style.
+ *   Pass no cards to leave captions out.
+ */
+const drawVideoFrame = (ctx, { width, height, layout, time, images, captions = [], captionStyle = defaultCaptionStyle }) => {
+  const index = images.findIndex(
+    (image) => time >= image.startTime && time < image.startTime + image.duration
+  );
+
+  if (index === -1) {
+    ctx.fillStyle = 'black';
+    ctx.fillRect(0, 0, width, height);
+  } else {
+    const transition = findActiveTransition(images, index, time);
+    if (transition) {
+      drawTransition(ctx, transition.type, transition.from, transition.to, transition.progress, time, width, height);
+    } else {
+      drawSceneImage(ctx, images[index], time, width, height);
+    }
+  }
+
+  const card = captions.find(c => time >= c.start && time < c.end);
+  if (card) {
+    drawCaption(ctx, card, time, width, height, layout, captionStyle);
+  }
+};
+
+// Clips start early and stop late by half the longest transition, so they are ready to blend in and out
+const CLIP_PREROLL_SECONDS = 1.5;
+const CLIP_DRIFT_SECONDS = 0.25;
+
+/**
+ * Returns the position in a scene's video clip for a point on the timeline.
+ * The clip starts at its trim point and holds its last frame if it is shorter than the scene.
+ * @param {object} scene - A timed scene with a `clip`.
+ * @param {number} time - Timeline position in seconds.
+ * @returns {number} The clip position in seconds.
+ */
+const getClipTime = (scene, time) => {
+  const { trimStart, duration } = scene.clip;
+  return clamp(trimStart + time - scene.startTime, trimStart, Math.max(0, duration - 0.05));
+};
+
+/**
+ * Returns the scenes whose video clips are on screen, or about to be, at a point in time.
+ * @param {Array} images - Timed scenes.
+ * @param {number} time - Timeline position in seconds.
+ * @returns {Array} Scenes with a loaded clip near that time.
+ */
+const getActiveClipScenes = (images, time) => images.filter(scene =>
+  scene.clipVideo &&
+  time >= scene.startTime - CLIP_PREROLL_SECONDS &&
+  time < scene.startTime + scene.duration + CLIP_PREROLL_SECONDS
+);
+
+/**
+ * Keeps scenes' video clips in step with real-time playback. Clips near the playhead play from the
+ * matching position, correcting drift by seeking, and every other clip is paused.
+ * @param {Array} images - Timed scenes.
+ * @param {number} time - Timeline position in seconds.
+ * @param {boolean} playing - Whether the timeline is playing.
+ */
+const syncSceneClips = (images, time, playing) => {
+  const active = getActiveClipScenes(images, time);
+  images.filter(scene => scene.clipVideo && !active.includes(scene)).forEach(scene => {
+    if (!scene.clipVideo.paused) scene.clipVideo.pause();
+  });
+  active.forEach(scene => {
+    const video = scene.clipVideo;
+    const target = getClipTime(scene, time);
+    const shouldPlay = playing && time >= scene.startTime && target < scene.clip.duration - 0.05;
+    if (Math.abs(video.currentTime - target) > (shouldPlay ? CLIP_DRIFT_SECONDS : 0.02)) {
+      video.currentTime = target;
+    }
+    if (shouldPlay && video.paused) video.play().catch(() => {});
+    if (!shouldPlay && !video.paused) video.pause();
+  });
+};
+
+/**
+ * Seeks the video clips near a point in time to their exact frame, for rendering faster than real time.
+ * @param {Array} images - Timed scenes.
+ * @param {number} time - Timeline position in seconds.
+ * @returns {Promise} Resolves once every clip has its frame, or has timed out trying.
+ */
+const seekSceneClips = (images, time) => Promise.all(getActiveClipScenes(images, time).map(scene => new Promise((resolve) => {
+  const video = scene.clipVideo;
+  const target = getClipTime(scene, time);
+  video.pause();
+  if (Math.abs(video.currentTime - target) < 0.001 && video.readyState >= 2) {
+    resolve();
+    return;
+  }
+  const timeout = setTimeout(resolve, 1000);
+  video.addEventListener('seeked', () => {
+    clearTimeout(timeout);
+    resolve();
+  }, { once: true });
+  video.currentTime = target;
+})));
+
+/**
+ * Fetches and decodes an audio file, returning null if it cannot be used.
+ * @param {BaseAudioContext} audioCtx - The context used for decoding.
+ * @param {string} url - The audio URL.
+ * @returns {AudioBuffer|null} The decoded audio.
+ */
+const loadAudioBuffer = async (audioCtx, url) => {
+  try {
+    const data = await fetch(url).then(r => r.arrayBuffer());
+    return await audioCtx.decodeAudioData(data);
+  } catch (error) {
+    console.warn(`Skipping audio track that could not be decoded: ${url}`, error);
+    return null;
+  }
+};
+
+// Background music defaults. Volume and duck level are gain multipliers; times are in seconds.
+const defaultMusicSettings = {
+  volume: 0.3,
+  fadeIn: 1,
+  fadeOut: 2,
+  mode: 'loop',
+  startOffset: 0,
+  ducking: true,
+  duckLevel: 0.35,
+};
+
+const DUCK_ATTACK_SECONDS = 0.15;
+const DUCK_RELEASE_SECONDS = 0.4;
+
+/**
+ * Returns the time ranges where narration is playing, merging ranges separated by short pauses.
+ * @param {Array} scenes - Timed scenes carrying their narration in `voiceClip`.
+ * @returns {Array} Sorted `{ start, end }` ranges in seconds.
+ */
+const getSpeechIntervals = (scenes) => {
+  const intervals = [];
+  scenes.filter(scene => scene.voiceClip).forEach(scene => {
+    const start = scene.startTime;
+    const end = scene.startTime + Math.min(getClipDuration(scene.voiceClip), scene.duration);
+    const last = intervals[intervals.length - 1];
+    if (last && start - last.end < DUCK_ATTACK_SECONDS + DUCK_RELEASE_SECONDS) {
+      last.end = Math.max(last.end, end);
+    } else {
+      intervals.push({ start, end });
+    }
+  });
+  return intervals;
+};
+
+/**
+ * Builds the fade-in/fade-out gain envelope for the music track.
+ * @param {object} settings - Music settings.
+ * @param {number} duration - Length of the video in seconds.
+ * @returns {Array} Automation points `{ time, value }` in timeline seconds.
+ */
+const getMusicFadeEnvelope = (settings, duration) => {
+  const scale = Math.min(1, duration / Math.max(settings.fadeIn + settings.fadeOut, 0.001));
+  const fadeIn = settings.fadeIn * scale;
+  const fadeOut = settings.fadeOut * scale;
+  return [
+    { time: 0, value: fadeIn > 0 ? 0 : 1 },
+    { time: fadeIn, value: 1 },
+    { time: duration - fadeOut, value: 1 },
+    { time: duration, value: fadeOut > 0 ? 0 : 1 },
+  ];
+};
+
+/**
+ * Builds the ducking gain envelope that lowers the music while narration plays.
+ * @param {object} settings - Music settings.
+ * @param {Array} speechIntervals - Narration ranges from `getSpeechIntervals`.
+ * @returns {Array} Automation points `{ time, value }` in timeline seconds.
+ */
+const getMusicDuckEnvelope = (settings, speechIntervals) => {
+  const points = [{ time: 0, value: 1 }];
+  if (!settings.ducking) return points;
+  speechIntervals.forEach(({ start, end }) => {
+    const attackStart = Math.max(points[points.length - 1].time, start - DUCK_ATTACK_SECONDS);
+    points.push({ time: attackStart, value: 1 });
+    points.push({ time: Math.max(attackStart, start), value: settings.duckLevel });
+    points.push({ time: end, value: settings.duckLevel });
+    points.push({ time: end + DUCK_RELEASE_SECONDS, value: 1 });
+  });
+  return points;
+};
+
+/**
+ * Returns the value of a linear envelope at a point in time.
+ * @param {Array} points - Automation points sorted by time.
+ * @param {number} time - Timeline position in seconds.
+ * @returns {number} The interpolated value.
+ */
+const getEnvelopeValue = (points, time) => {
+  if (time < points[0].time) return points[0].value;
+  for (let i = 0; i < points.length - 1; i++) {
+    const a = points[i];
+    const b = points[i + 1];
+    if (time < b.time) {
+      return b.time > a.time ? a.value + ((b.value - a.value) * (time - a.time)) / (b.time - a.time) : b.value;
+    }
+  }
+  return points[points.length - 1].value;
+};
+
+/**
+ * Schedules an envelope on an AudioParam, starting partway through the timeline if needed.
+ * @param {AudioParam} param - The parameter to automate.
+ * @param {Array} points - Automation points in timeline seconds.
+ * @param {number} when - Context time that corresponds to `position`.
+ * @param {number} position - Timeline position playback starts from.
+ */
+const scheduleEnvelope = (param, points, when, position) => {
+  param.setValueAtTime(getEnvelopeValue(points, position), when);
+  points
+    .filter(point => point.time > position)
+    .forEach(point => param.linearRampToValueAtTime(point.value, when + point.time - position));
+};
+
+/**
+ * Plays the music track through a volume, fade and ducking gain chain. Shared by the preview,
+ * which starts from the playhead, and the export, which renders from the start, so both sound the same.
+ * @param {BaseAudioContext} audioCtx - The context to play in.
+ * @param {AudioNode} destination - Where the music is mixed into.
+ * @param {AudioBuffer} buffer - The decoded music track.
+ * @param {object} options - Music settings, video duration, narration ranges, start context time and timeline position.
+ * @returns {AudioBufferSourceNode|null} The playing source, or null if the track has already ended.
+ */
+const scheduleMusicTrack = (audioCtx, destination, buffer, { settings, duration, speechIntervals, when, position }) => {
+  const startOffset = clamp(settings.startOffset, 0, buffer.duration);
+  const playable = buffer.duration - startOffset;
+  if (position >= duration || playable <= 0) return null;
+  const loop = settings.mode === 'loop';
+  if (!loop && position >= playable) return null;
+
+  const source = audioCtx.createBufferSource();
+  source.buffer = buffer;
+  source.loop = loop;
+  source.loopStart = startOffset;
+  source.loopEnd = buffer.duration;
+
+  const volume = audioCtx.createGain();
+  const fade = audioCtx.createGain();
+  const duck = audioCtx.createGain();
+  volume.gain.value = settings.volume;
+  scheduleEnvelope(fade.gain, getMusicFadeEnvelope(settings, duration), when, position);
+  scheduleEnvelope(duck.gain, getMusicDuckEnvelope(settings, speechIntervals), when, position);
+  source.connect(volume).connect(fade).connect(duck).connect(destination);
+
+  source.start(when, startOffset + (loop ? position % playable : position));
+  source.stop(when + duration - position);
+  return source;
+};
+
+/**
+ * Mixes the voice-over, background music and sound effects into a single stereo track.
+ * @param {object} tracks - The voice-over URL, music URL and settings, narration ranges, sound effects and minimum duration.
+ * @returns {AudioBuffer} The rendered mix, at least as long as the voice-over.
+ */
+const mixExportAudio = async ({ voiceUrl, musicUrl, musicSettings, speechIntervals, effects, duration }) => {
+  const decoder = new OfflineAudioContext(2, 1, EXPORT_SAMPLE_RATE);
+  const [voice, music, ...sfx] = await Promise.all(
+    [voiceUrl, musicUrl, ...effects.map(e => e.src)].map(url => url ? loadAudioBuffer(decoder, url) : null)
+  );
+
+  const totalDuration = Math.max(duration, voice ? voice.duration : 0);
+  const mix = new OfflineAudioContext(2, Math.max(1, Math.ceil(totalDuration * EXPORT_SAMPLE_RATE)), EXPORT_SAMPLE_RATE);
+  const schedule = (buffer, when, gain = 1) => {
+    const source = mix.createBufferSource();
+    const gainNode = mix.createGain();
+    source.buffer = buffer;
+    gainNode.gain.value = gain;
+    source.connect(gainNode).connect(mix.destination);
+    source.start(when);
+  };
+
+  if (voice) schedule(voice, 0);
+  if (music) {
+    scheduleMusicTrack(mix, mix.destination, music, { settings: musicSettings, duration: totalDuration, speechIntervals, when: 0, position: 0 });
+  }
+  sfx.forEach((buffer, i) => {
+    if (buffer) schedule(buffer, effects[i].startTime, effects[i].volume ?? 1);
+  });
+
+  return mix.startRendering();
+};
+
+/**
+ * Checks whether the browser can encode the export offline with WebCodecs.
+ * @param {object} options - The export options.
+ * @returns {boolean} True if faster-than-real-time rendering is available.
+ */
+const canRenderOffline = async ({ format, width, height, bitrate, audioBuffer }) => {
+  if (!('VideoEncoder' in window) || !('AudioEncoder' in window) || !window[format.muxerGlobal]) {
+    return false;
+  }
+  try {
+    const [video, audio] = await Promise.all([
+      window.VideoEncoder.isConfigSupported({ codec: format.videoCodec, width, height, bitrate, framerate: EXPORT_FRAME_RATE }),
+      window.AudioEncoder.isConfigSupported({ codec: format.audioCodec, sampleRate: audioBuffer.sampleRate, numberOfChannels: audioBuffer.numberOfChannels, bitrate: EXPORT_AUDIO_BITRATE }),
+    ]);
+    return video.supported && audio.supported;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Renders the video frame by frame with WebCodecs, as fast as the encoder allows.
+ * @param {object} options - Format, size, bitrate, duration, mixed audio, frame drawer and progress callback.
+ *   `prepareFrame` is awaited before each frame is drawn, e.g. to seek video clips.
+ * @returns {Blob} The encoded video file.
+ */
+const renderVideoWithWebCodecs = async ({ format, width, height, bitrate, duration, audioBuffer, prepareFrame, drawFrame, onProgress }) => {
+  const { Muxer, ArrayBufferTarget } = window[format.muxerGlobal];
+  const target = new ArrayBufferTarget();
+  const muxer = new Muxer({
+    target,
+    video: { codec: format.muxerVideoCodec, width, height, frameRate: EXPORT_FRAME_RATE },
+    audio: { codec: format.muxerAudioCodec, numberOfChannels: audioBuffer.numberOfChannels, sampleRate: audioBuffer.sampleRate },
+    ...format.muxerOptions,
+  });
+
+  let encoderError = null;
+  const videoEncoder = new window.VideoEncoder({
+    output: (chunk, meta) => muxer.addVideoChunk(chunk, meta),
+    error: (error) => { encoderError = error; },
+  });
+  videoEncoder.configure({ codec: format.videoCodec, width, height, bitrate, framerate: EXPORT_FRAME_RATE });
+  const audioEncoder = new window.AudioEncoder({
+    output: (chunk, meta) => muxer.addAudioChunk(chunk, meta),
+    error: (error) => { encoderError = error; },
+  });
+  audioEncoder.configure({ codec: format.audioCodec, sampleRate: audioBuffer.sampleRate, numberOfChannels: audioBuffer.numberOfChannels, bitrate: EXPORT_AUDIO_BITRATE });
+
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  const ctx = canvas.getContext('2d');
+
+  const totalFrames = Math.max(1, Math.ceil(duration * EXPORT_FRAME_RATE));
+  const frameDuration = 1e6 / EXPORT_FRAME_RATE;
+  const channels = audioBuffer.numberOfChannels;
+  const audioChunkSize = 1024;
+  let audioOffset = 0;
+
+  // Encodes the mixed audio up to the given sample so the muxer receives both tracks interleaved
+  const encodeAudioUntil = (endSample) => {
+    while (audioOffset < Math.min(endSample, audioBuffer.length)) {
+      const frames = Math.min(audioChunkSize, audioBuffer.length - audioOffset);
+      const data = new Float32Array(frames * channels);
+      for (let c = 0; c < channels; c++) {
+        data.set(audioBuffer.getChannelData(c).subarray(audioOffset, audioOffset + frames), c * frames);
+      }
+      const audioData = new window.AudioData({
+        format: 'f32-planar',
+        sampleRate: audioBuffer.sampleRate,
+        numberOfFrames: frames,
+        numberOfChannels: channels,
+        timestamp: Math.round((audioOffset / audioBuffer.sampleRate) * 1e6),
+        data,
+      });
+      audioEncoder.encode(audioData);
+      audioData.close();
+      audioOffset += frames;
+    }
+  };
+
+  for (let i = 0; i < totalFrames; i++) {
+    if (encoderError) throw encoderError;
+    const time = i / EXPORT_FRAME_RATE;
+    if (prepareFrame) await prepareFrame(time);
+    drawFrame(ctx, time);
+    const frame = new window.VideoFrame(canvas, { timestamp: Math.round(i * frameDuration), duration: Math.round(frameDuration) });
+    videoEncoder.encode(frame, { keyFrame: i % (EXPORT_FRAME_RATE * 2) === 0 });
+    frame.close();
+    encodeAudioUntil(Math.ceil(((i + 1) / EXPORT_FRAME_RATE) * audioBuffer.sampleRate));
+
+    // Let the encoder catch up and give the UI a chance to repaint the progress bar
+    while (videoEncoder.encodeQueueSize > 8) {
+      await new Promise(resolve => setTimeout(resolve, 1));
+    }
+    if (i % 10 === 0) {
+      onProgress(Math.round((i / totalFrames) * 100));
+      await new Promise(resolve => setTimeout(resolve, 0));
+    }
+  }
+  encodeAudioUntil(audioBuffer.length);
+
+  await videoEncoder.flush();
+  await audioEncoder.flush();
+  if (encoderError) throw encoderError;
+  videoEncoder.close();
+  audioEncoder.close();
+  muxer.finalize();
+  onProgress(100);
+
+  return new Blob([target.buffer], { type: format.mimeType });
+};
+
+/**
+ * Records the video in real time with MediaRecorder. Used when WebCodecs is unavailable.
+ * @param {object} options - Format, size, bitrate, duration, mixed audio, frame drawer and progress callback.
+ *   `syncFrame` is called before each frame is drawn, e.g. to keep video clips playing in step.
+ * @returns {Promise<Blob>} The recorded video file.
+ */
+const renderVideoRealtime = ({ format, width, height, bitrate, duration, audioBuffer, syncFrame, drawFrame, onProgress }) => {
+  return new Promise((resolve, reject) => {
+    const mimeType = format.recorderMimeTypes.find(type => window.MediaRecorder && MediaRecorder.isTypeSupported(type));
+    if (!mimeType) {
+      reject(new Error(`This browser cannot record ${format.name} video.`));
+      return;
+    }
+
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    const ctx = canvas.getContext('2d');
+    drawFrame(ctx, 0);
+
+    const audioCtx = new AudioContext({ sampleRate: audioBuffer.sampleRate });
+    const destination = audioCtx.createMediaStreamDestination();
+    const source = audioCtx.createBufferSource();
+    source.buffer = audioBuffer;
+    source.connect(destination);
+
+    const stream = new MediaStream([
+      ...canvas.captureStream(EXPORT_FRAME_RATE).getVideoTracks(),
+      ...destination.stream.getAudioTracks(),
+    ]);
+    const recorder = new MediaRecorder(stream, { mimeType, videoBitsPerSecond: bitrate, audioBitsPerSecond: EXPORT_AUDIO_BITRATE });
+    const chunks = [];
+    recorder.ondataavailable = (e) => {
+      if (e.data.size > 0) chunks.push(e.data);
+    };
+    recorder.onstop = () => {
+      stream.getTracks().forEach(track => track.stop());
+      audioCtx.close();
+      onProgress(100);
+      resolve(new Blob(chunks, { type: mimeType.split(';')[0] }));
+    };
+    recorder.onerror = (e) => {
+      audioCtx.close();
+      reject(e.error || new Error('Recording failed.'));
+    };
+
+    recorder.start(1000);
+    const startedAt = audioCtx.currentTime;
+    source.start(startedAt);
+
+    const tick = () => {
+      const time = audioCtx.currentTime - startedAt;
+      if (time >= duration) {
+        recorder.stop();
+        return;
+      }
+      if (syncFrame) syncFrame(time);
+      drawFrame(ctx, time);
+      onProgress(Math.round((time / duration) * 100));
+      requestAnimationFrame(tick);
+    };
+    requestAnimationFrame(tick);
+  });
+};
+
+/**
+ * Triggers a browser download for a Blob.
+ * @param {Blob} blob - The file contents.
+ * @param {string} filename - The suggested file name.
+ */
+const downloadBlob = (blob, filename) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+};
+
+const PROVIDER_SETTINGS_KEY = 'videoStudio.providerSettings';
+
+// How long the voice list waits for endpoint and API key typing to settle before it is fetched
+const VOICE_LIST_DELAY_MS = 500;
+
+/**
+ * Reads the saved provider settings from browser storage, falling back to the defaults.
+ * API keys are only remembered when `rememberApiKeys` is on; settings saved before the option
+ * existed already hold keys, so they keep remembering them.
+ * @returns {object} The provider settings.
+ */
+const loadProviderSettings = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(PROVIDER_SETTINGS_KEY));
+    if (saved) {
+      const hasKeys = Object.values(saved.configs || {}).some(config => config && config.apiKey);
+      return { ...mergeProviderSettings(saved), rememberApiKeys: saved.rememberApiKeys ?? hasKeys };
+    }
+  } catch (error) {
+    console.warn("Ignoring unreadable provider settings:", error);
+  }
+  return { ...defaultProviderSettings, rememberApiKeys: false };
+};
+
+/**
+ * Saves the provider settings to browser storage, leaving the API keys out unless asked to remember them.
+ * @param {object} settings - The provider settings.
+ */
+const saveProviderSettings = (settings) => {
+  const stored = settings.rememberApiKeys ? settings : {
+    ...settings,
+    configs: Object.fromEntries(Object.entries(settings.configs).map(([id, config]) => [id, { ...config, apiKey: '' }])),
+  };
+  localStorage.setItem(PROVIDER_SETTINGS_KEY, JSON.stringify(stored));
+};
+
+// Sound effect library and placement rules. Library entries without a `src` are generated on first use.
+const defaultSfxLibrary = [
+  { id: 'lib_whoosh', name: 'Whoosh', src: null },
+  { id: 'lib_click', name: 'Click', src: null },
+];
+
+const defaultSfxRules = [
+  { id: 'rule_future', trigger: 'keyword', pattern: 'future', effectId: 'lib_whoosh', volume: 1, offset: 0 },
+  { id: 'rule_seconds', trigger: 'keyword', pattern: 'seconds', effectId: 'lib_click', volume: 1, offset: 0 },
+];
+
+const sfxTriggers = [
+  { id: 'keyword', name: 'Word is spoken' },
+  { id: 'regex', name: 'Regex matches' },
+  { id: 'sceneStart', name: 'Scene starts' },
+];
+
+// Samples quieter than this fraction of full scale count as silence when locating speech in a clip
+const SPEECH_THRESHOLD = 0.02;
+
+/**
+ * Finds where speech starts and ends within a narration clip, ignoring leading and trailing silence.
+ * @param {object} clip - A clip with 16-bit mono PCM data and its sample rate.
+ * @returns {object} The voiced `{ start, end }` range in seconds from the start of the clip.
+ */
+const getVoicedRange = (clip) => {
+  const view = new DataView(clip.pcm.buffer, clip.pcm.byteOffset, clip.pcm.byteLength);
+  const samples = Math.floor(clip.pcm.byteLength / 2);
+  const threshold = SPEECH_THRESHOLD * 32768;
+  let first = 0;
+  let last = samples - 1;
+  while (first < samples && Math.abs(view.getInt16(first * 2, true)) < threshold) first++;
+  while (last > first && Math.abs(view.getInt16(last * 2, true)) < threshold) last--;
+  if (first >= samples) return { start: 0, end: getClipDuration(clip) };
+  return { start: first / clip.sampleRate, end: (last + 1) / clip.sampleRate };
+};
+
+/**
+ * Estimates when each word of a scene's narration is spoken. Words share the voiced part of the
+ * clip in proportion to their length, which tracks natural speech closely enough for cueing.
+ * @param {string} text - The scene's narration.
+ * @param {object} scene - The timed scene, with its narration clip if it has one.
+ * @returns {Array} `{ word, index, start, end }` per word; `index` is the character offset in `text`.
+ */
+const estimateWordTimings = (text, scene) => {
+  const words = [...text.matchAll(/\S+/g)].map(match => ({ word: match[0], index: match.index }));
+  let start = 0;
+  let end = scene.duration;
+  if (scene.voiceClip) {
+    const voiced = getVoicedRange(scene.voiceClip);
+    start = Math.min(voiced.start, scene.duration);
+    end = Math.min(voiced.end, scene.duration);
+  }
+
+  const weights = words.map(w => w.word.length + 1);
+  const totalWeight = weights.reduce((sum, w) => sum + w, 0);
+  let time = scene.startTime + start;
+  return words.map((w, i) => {
+    const length = ((end - start) * weights[i]) / totalWeight;
+    const timing = { ...w, start: time, end: time + length };
+    time += length;
+    return timing;
+  });
+};
+
+/**
+ * Returns the narration of a scene, taken from its subtitle cues.
+ * @param {string} sceneId - The scene.
+ * @param {Array} subtitles - Subtitle cues linked to scenes by `sceneId`.
+ * @returns {string} The scene's narration text.
+ */
+const getSceneText = (sceneId, subtitles) => {
+  return subtitles.filter(sub => sub.sceneId === sceneId).map(sub => sub.text).join(' ');
+};
+
+/**
+ * Compiles a rule's pattern into a global, case-insensitive regular expression.
+ * @param {object} rule - The sound effect rule.
+ * @returns {RegExp|null} The expression, or null if the pattern is empty or invalid.
+ */
+const compileRulePattern = (rule) => {
+  if (!rule.pattern) return null;
+  if (rule.trigger === 'regex') {
+    try {
+      return new RegExp(rule.pattern, 'gi');
+    } catch (error) {
+      return null;
+    }
+  }
+  // Unicode-aware word boundaries, since \b only knows ASCII letters
+  const keyword = rule.pattern.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  try {
+    return new RegExp(`(?<![\\p{L}\\p{N}])${keyword}(?![\\p{L}\\p{N}])`, 'giu');
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Places sound effects on the timeline by matching the rules against each scene's narration.
+ * Word rules fire when the matching word is spoken; scene rules fire when a matching scene starts.
+ * @param {Array} scenes - Timed scenes.
+ * @param {Array} subtitles - Subtitle cues linked to scenes by `sceneId`.
+ * @param {Array} rules - Sound effect rules.
+ * @param {Array} library - Sound effect library entries.
+ * @returns {Array} Placed sound effects sorted by start time.
+ */
+const placeSoundEffects = (scenes, subtitles, rules, library) => {
+  const effects = [];
+  scenes.forEach(scene => {
+    const text = getSceneText(scene.id, subtitles);
+    const wordTimings = estimateWordTimings(text, scene);
+
+    rules.forEach(rule => {
+      const entry = library.find(e => e.id === rule.effectId);
+      if (!entry || !entry.src) return;
+      const place = (time, key) => effects.push({
+        id: `sfx_${rule.id}_${scene.id}_${key}`.replace(/[^\w-]/g, '_'),
+        name: entry.name,
+        src: entry.src,
+        libraryId: entry.id,
+        ruleId: rule.id,
+        anchor: { sceneId: scene.id, textIndex: key === 'start' ? null : key, offset: rule.offset },
+        startTime: Math.max(0, time + rule.offset),
+        volume: rule.volume,
+      });
+
+      const pattern = compileRulePattern(rule);
+      if (rule.trigger === 'sceneStart') {
+        if (!rule.pattern || (pattern && pattern.test(text))) place(scene.startTime, 'start');
+        return;
+      }
+      if (!pattern) return;
+      for (const match of text.matchAll(pattern)) {
+        const word = wordTimings.find(w => match.index < w.index + w.word.length);
+        if (word) place(word.start, match.index);
+      }
+    });
+  });
+  return effects.sort((a, b) => a.startTime - b.startTime);
+};
+/**
+ * Re-resolves rule-placed sound effects against the current scene timings, so they stay on
+ * their scene start or word when scenes are resized, reordered, split or re-narrated.
+ * Effects whose scene no longer exists are dropped; effects without an anchor are kept as is.
+ * @param {object[]} effects - The placed sound effects.
+ * @param {object[]} scenes - The retimed scenes.
+ * @param {object[]} subtitles - The subtitles the scene text is read from.
+ * @returns {object[]} The effects with updated start times, sorted by time.
+ */
+const resolveSoundEffects = (effects, scenes, subtitles) => {
+  const byId = new Map(scenes.map(scene => [scene.id, scene]));
+  const wordTimings = new Map();
+  return effects
+    .filter(sfx => !sfx.anchor || byId.has(sfx.anchor.sceneId))
+    .map(sfx => {
+      if (!sfx.anchor) return sfx;
+      const scene = byId.get(sfx.anchor.sceneId);
+      let time = scene.startTime;
+      if (sfx.anchor.textIndex !== null) {
+        if (!wordTimings.has(scene.id)) wordTimings.set(scene.id, estimateWordTimings(getSceneText(scene.id, subtitles), scene));
+        const words = wordTimings.get(scene.id);
+        // Fall back to the last word when the scene's text has since been shortened
+        const word = words.find(w => sfx.anchor.textIndex < w.index + w.word.length) || words[words.length - 1];
+        if (word) time = word.start;
+      }
+      return { ...sfx, startTime: Math.max(0, time + sfx.anchor.offset) };
+    })
+    .sort((a, b) => a.startTime - b.startTime);
+};
+
+// Text colors for generation job statuses
+const generationStatusColors = {
+  pending: 'text-gray-400',
+  running: 'text-blue-300',
+  done: 'text-green-400',
+  failed: 'text-red-400',
+  cancelled: 'text-yellow-400',
+};
+
+// Language tracks. A project holds one script per language over the same scenes and images; the
+// active language lives in the editor state and the others are stored as tracks.
+
+/**
+ * Returns a readable name for a language tag, e.g. "German (Germany)" for "de-DE".
+ * @param {string} locale - A BCP 47 language tag.
+ * @returns {string} The language name, or the tag itself if the browser cannot name it.
+ */
+const getLanguageName = (locale) => {
+  try {
+    return new Intl.DisplayNames(['en'], { type: 'language' }).of(locale) || locale;
+  } catch (error) {
+    return locale;
+  }
+};
+
+/**
+ * Stores the active language's script, voices, narration and subtitles as a language track.
+ * Narration and durations are kept per scene ID, since scenes are shared between languages.
+ * @param {object} state - The `locale`, `script`, `selectedVoice`, `speakerVoices`, timed `scenes` and `subtitles`.
+ * @returns {object} The track.
+ */
+const createLanguageTrack = ({ locale, script, selectedVoice, speakerVoices, scenes, subtitles }) => ({
+  locale,
+  script,
+  selectedVoice,
+  speakerVoices,
+  subtitles,
+  narration: Object.fromEntries(scenes.map(scene => [scene.id, { voiceClip: scene.voiceClip || null, duration: scene.duration }])),
+});
+
+/**
+ * Gives the shared scenes a language track's narration and durations. Scenes the track has no
+ * narration for, e.g. ones added since it was last active, keep their length and play silently.
+ * @param {Array} scenes - Scenes in playback order.
+ * @param {object} track - The language track.
+ * @returns {Array} The retimed scenes.
+ */
+const applyLanguageTrack = (scenes, track) => retimeScenes(scenes.map(scene => {
+  const narration = track.narration[scene.id];
+  return narration ? { ...scene, ...narration } : { ...scene, voiceClip: null };
+}));
+
+// Project files and browser storage
+const PROJECT_FORMAT = 'jans-ai-video-studio-project';
+const PROJECT_VERSION = 1;
+const PROJECT_DB_NAME = 'videoStudio';
+const PROJECT_DB_VERSION = 2;
+const PROJECT_STORE = 'projects';
+const ASSET_STORE = 'assets';
+const LAST_PROJECT_KEY = 'videoStudio.lastProjectId';
+// The asset cache's size limit; the least recently used assets are dropped beyond it
+const ASSET_CACHE_LIMIT_BYTES = 500 * 1024 * 1024;
+const AUTOSAVE_DELAY_MS = 2000;
+
+// Undo history
+const HISTORY_LIMIT = 100;
+const HISTORY_MERGE_MS = 1000;
+
+/**
+ * Reads a blob as a data URL.
+ * @param {Blob} blob - The media.
+ * @returns {string} The data URL.
+ */
+const blobToDataUrl = (blob) => new Promise((resolve, reject) => {
+  const reader = new FileReader();
+  reader.onload = () => resolve(reader.result);
+  reader.onerror = () => reject(reader.error);
+  reader.readAsDataURL(blob);
+});
+
+/**
+ * Converts a media URL into a self-contained data URL so it survives a reload.
+ * Media that cannot be fetched keeps its original URL.
+ * @param {string|null} url - The media URL.
+ * @returns {string|null} A data URL, or the original URL.
+ */
+const toDataUrl = async (url) => {
+  if (!url || url.startsWith('data:')) return url;
+  try {
+    return await blobToDataUrl(await fetch(url).then(r => r.blob()));
+  } catch (error) {
+    console.warn(`Keeping remote URL for media that could not be embedded: ${url}`, error);
+    return url;
+  }
+};
+
+/**
+ * Loads an image element from a URL.
+ * @param {string} src - The image URL.
+ * @returns {HTMLImageElement|null} The loaded image, or null if it failed to load.
+ */
+const loadImage = (src) => {
+  return new Promise((resolve) => {
+    const img = new Image();
+    img.onload = () => resolve(img);
+    img.onerror = () => resolve(null);
+    img.src = src;
+  });
+};
+
+/**
+ * Loads a video clip for drawing onto the canvas. The element stays muted; narration and music are mixed separately.
+ * @param {string} src - The video URL.
+ * @returns {Promise<HTMLVideoElement|null>} The video once its first frame is available, or null if it cannot be played.
+ */
+const loadVideo = (src) => {
+  return new Promise((resolve) => {
+    const video = document.createElement('video');
+    video.muted = true;
+    video.playsInline = true;
+    video.preload = 'auto';
+    video.onloadeddata = () => resolve(video);
+    video.onerror = () => resolve(null);
+    video.src = src;
+  });
+};
+
+/**
+ * Captures a video's current frame as an image, for thumbnails and the focal point picker.
+ * @param {HTMLVideoElement} video - A loaded video.
+ * @returns {string} A JPEG data URL.
+ */
+const captureVideoFrame = (video) => {
+  const canvas = document.createElement('canvas');
+  canvas.width = video.videoWidth;
+  canvas.height = video.videoHeight;
+  canvas.getContext('2d').drawImage(video, 0, 0);
+  return canvas.toDataURL('image/jpeg', 0.85);
+};
+
+/**
+ * Loads an uploaded image or video file as scene media.
+ * @param {File} file - The file.
+ * @returns {object} Scene fields: `src` and `imgObject` for the picture, plus `clip` and `clipVideo` for video files.
+ */
+const loadMediaFile = async (file) => {
+  const url = URL.createObjectURL(file);
+  if (file.type.startsWith('image/')) {
+    const imgObject = await loadImage(url);
+    if (!imgObject) {
+      URL.revokeObjectURL(url);
+      throw new Error(`Could not read the image "${file.name}".`);
+    }
+    return { src: url, imgObject, clip: null, clipVideo: null };
+  }
+  if (file.type.startsWith('video/')) {
+    const clipVideo = await loadVideo(url);
+    if (!clipVideo) {
+      URL.revokeObjectURL(url);
+      throw new Error(`Could not play the video "${file.name}".`);
+    }
+    const poster = captureVideoFrame(clipVideo);
+    return { src: poster, imgObject: await loadImage(poster), clip: { src: url, trimStart: 0, duration: clipVideo.duration }, clipVideo };
+  }
+  URL.revokeObjectURL(url);
+  throw new Error(`"${file.name}" is not an image or video file.`);
+};
+
+/**
+ * Captures the editable state of the studio as a self-contained, JSON-serializable project.
+ * @param {object} state - Project metadata, script, voice, speaker voices, split settings, visual style, video format, caption style, scenes, subtitles, music, music settings, sound effects, the effect library and rules, and the other language tracks.
+ * @returns {object} The project document.
+ */
+const serializeProject = async ({ id, name, createdAt, script, selectedVoice, speakerVoices, splitSettings, visualStyle, videoFormat, captionStyle, scenes, subtitles, musicUrl, musicSettings, soundEffects, sfxLibrary, sfxRules, languageTracks }) => ({
+  format: PROJECT_FORMAT,
+  version: PROJECT_VERSION,
+  id,
+  name,
+  createdAt,
+  updatedAt: new Date().toISOString(),
+  script,
+  selectedVoice,
+  speakerVoices,
+  splitSettings,
+  visualStyle,
+  videoFormat,
+  captionStyle,
+  scenes: await Promise.all(scenes.map(async (scene) => ({
+    id: scene.id,
+    name: scene.name,
+    prompt: scene.prompt,
+    startTime: scene.startTime,
+    duration: scene.duration,
+    motion: scene.motion,
+    transition: scene.transition,
+    focus: scene.focus,
+    image: await toDataUrl(scene.src),
+    versions: await Promise.all((scene.versions || [scene.src]).map(toDataUrl)),
+    clip: scene.clip ? { ...scene.clip, src: await toDataUrl(scene.clip.src) } : null,
+    voiceClip: scene.voiceClip ? { pcm: bytesToBase64(scene.voiceClip.pcm), sampleRate: scene.voiceClip.sampleRate } : null,
+  }))),
+  subtitles,
+  music: await toDataUrl(musicUrl),
+  musicSettings,
+  soundEffects: await Promise.all(soundEffects.map(async (sfx) => ({ ...sfx, src: await toDataUrl(sfx.src) }))),
+  sfxLibrary: await Promise.all(sfxLibrary.map(async (entry) => ({ ...entry, src: await toDataUrl(entry.src) }))),
+  sfxRules,
+  languageTracks: languageTracks.map(track => ({
+    ...track,
+    narration: Object.fromEntries(Object.entries(track.narration).map(([sceneId, { voiceClip, duration }]) => [sceneId, {
+      voiceClip: voiceClip ? { pcm: bytesToBase64(voiceClip.pcm), sampleRate: voiceClip.sampleRate } : null,
+      duration,
+    }])),
+  })),
+});
+
+/**
+ * Validates a project document and restores its scenes into playable timeline items.
+ * @param {object} project - A project document from storage or an imported file.
+ * @returns {object} The project with scenes ready for the timeline and preview.
+ */
+const deserializeProject = async (project) => {
+  if (!project || project.format !== PROJECT_FORMAT) {
+    throw new Error("This file is not a video studio project.");
+  }
+  if (project.version > PROJECT_VERSION) {
+    throw new Error(`Project version ${project.version} is newer than this app supports.`);
+  }
+
+  const scenes = await Promise.all(project.scenes.map(async (scene) => {
+    const imgObject = await loadImage(scene.image);
+    if (!imgObject) {
+      console.error(`Failed to load image for prompt: ${scene.prompt}`);
+    }
+    const clipVideo = scene.clip ? await loadVideo(scene.clip.src) : null;
+    if (scene.clip && !clipVideo) {
+      console.error(`Failed to load video clip for scene: ${scene.name}`);
+    }
+    return {
+      id: scene.id,
+      prompt: scene.prompt,
+      type: 'video',
+      name: scene.name,
+      src: scene.image,
+      versions: scene.versions || [scene.image],
+      motion: scene.motion || defaultMotion,
+      transition: scene.transition || defaultTransition,
+      focus: scene.focus || defaultFocus,
+      duration: scene.duration,
+      imgObject,
+      clip: scene.clip || null,
+      clipVideo,
+      startTime: scene.startTime,
+      voiceClip: scene.voiceClip ? { pcm: base64ToBytes(scene.voiceClip.pcm), sampleRate: scene.voiceClip.sampleRate } : null,
+    };
+  }));
+  const languageTracks = (project.languageTracks || []).map(track => ({
+    ...track,
+    narration: Object.fromEntries(Object.entries(track.narration).map(([sceneId, { voiceClip, duration }]) => [sceneId, {
+      voiceClip: voiceClip ? { pcm: base64ToBytes(voiceClip.pcm), sampleRate: voiceClip.sampleRate } : null,
+      duration,
+    }])),
+  }));
+  return { ...project, scenes, languageTracks };
+};
+
+/**
+ * Runs a single request against one of the studio's object stores in IndexedDB.
+ * @param {string} storeName - PROJECT_STORE or ASSET_STORE.
+ * @param {string} mode - 'readonly' or 'readwrite'.
+ * @param {function} operation - Receives the object store and returns an IDBRequest.
+ * @returns {*} The request result once the transaction completes.
+ */
+const withStore = (storeName, mode, operation) => {
+  return new Promise((resolve, reject) => {
+    const open = indexedDB.open(PROJECT_DB_NAME, PROJECT_DB_VERSION);
+    open.onupgradeneeded = () => {
+      const db = open.result;
+      if (!db.objectStoreNames.contains(PROJECT_STORE)) db.createObjectStore(PROJECT_STORE, { keyPath: 'id' });
+      if (!db.objectStoreNames.contains(ASSET_STORE)) db.createObjectStore(ASSET_STORE, { keyPath: 'key' });
+    };
+    open.onerror = () => reject(open.error);
+    // Another tab still has the database open at an older version, so the upgrade cannot run
+    open.onblocked = () => reject(new Error('The project database is being upgraded; close the studio in other tabs and reload.'));
+    open.onsuccess = () => {
+      const db = open.result;
+      const tx = db.transaction(storeName, mode);
+      const request = operation(tx.objectStore(storeName));
+      tx.oncomplete = () => {
+        db.close();
+        resolve(request.result);
+      };
+      tx.onerror = () => {
+        db.close();
+        reject(tx.error);
+      };
+    };
+  });
+};
+
+const withProjectStore = (mode, operation) => withStore(PROJECT_STORE, mode, operation);
+
+const saveStoredProject = (project) => withProjectStore('readwrite', store => store.put(project));
+const getStoredProject = (id) => withProjectStore('readonly', store => store.get(id));
+const deleteStoredProject = (id) => withProjectStore('readwrite', store => store.delete(id));
+
+/**
+ * Lists saved projects, most recently updated first.
+ * @returns {Array} Project summaries with id, name, update time and scene count.
+ */
+const listStoredProjects = async () => {
+  const projects = await withProjectStore('readonly', store => store.getAll());
+  return projects
+    .map(({ id, name, updatedAt, scenes }) => ({ id, name, updatedAt, sceneCount: scenes.length }))
+    .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+};
+
+// Generated asset cache. Images and audio are stored in IndexedDB under a hash of everything that
+// went into generating them, so an unchanged scene is reused instead of generated again.
+
+/**
+ * Computes the cache key for a generation request.
+ * @param {object} request - Provider, model, endpoint, inputs and settings of the request.
+ * @returns {string} The SHA-256 of the request as hex.
+ */
+const getAssetCacheKey = async (request) => {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(JSON.stringify(request)));
+  return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+};
+
+/**
+ * Converts a generated asset into what the cache stores. URLs are fetched so that the cache holds
+ * the media itself and still works once object URLs are revoked or the provider is offline.
+ * @param {string|object} asset - A media URL, or a `{ pcm, sampleRate }` narration clip.
+ * @returns {object} `{ blob }` or `{ clip }`.
+ */
+const toCachedValue = async (asset) => {
+  if (typeof asset === 'string') return { blob: await (await fetch(asset)).blob() };
+  return { clip: { pcm: asset.pcm, sampleRate: asset.sampleRate } };
+};
+
+// Media is handed out as data URLs, which need no revoking however often an entry is reused
+const fromCachedValue = async (value) => value.blob ? blobToDataUrl(value.blob) : value.clip;
+
+const getCachedValueSize = (value) => value.blob ? value.blob.size : value.clip.pcm.byteLength;
+
+const getCachedAsset = (key) => withStore(ASSET_STORE, 'readonly', store => store.get(key));
+const putCachedAsset = (entry) => withStore(ASSET_STORE, 'readwrite', store => store.put(entry));
+const deleteCachedAsset = (key) => withStore(ASSET_STORE, 'readwrite', store => store.delete(key));
+const clearAssetCache = () => withStore(ASSET_STORE, 'readwrite', store => store.clear());
+
+/**
+ * Deletes the least recently used assets until the cache fits within a size limit.
+ * @param {number} limit - The largest total size to keep, in bytes.
+ */
+const evictCachedAssets = (limit) => withStore(ASSET_STORE, 'readwrite', store => {
+  const entries = [];
+  const request = store.openCursor();
+  request.onsuccess = () => {
+    const cursor = request.result;
+    if (cursor) {
+      entries.push({ key: cursor.value.key, size: cursor.value.size, usedAt: cursor.value.usedAt });
+      cursor.continue();
+      return;
+    }
+    let total = 0;
+    entries
+      .sort((a, b) => b.usedAt.localeCompare(a.usedAt))
+      .forEach(entry => {
+        total += entry.size;
+        if (total > limit) store.delete(entry.key);
+      });
+  };
+  return request;
+});
+
+/**
+ * Lists cached assets, most recently used first.
+ * @returns {Array} Entry summaries with key, kind, label, provider, size and times.
+ */
+const listCachedAssets = async () => {
+  const entries = await withStore(ASSET_STORE, 'readonly', store => store.getAll());
+  return entries
+    .map(({ key, kind, label, provider, size, createdAt, usedAt }) => ({ key, kind, label, provider, size, createdAt, usedAt }))
+    .sort((a, b) => b.usedAt.localeCompare(a.usedAt));
+};
+
+/**
+ * Formats a byte count for display.
+ * @param {number} bytes - The size in bytes.
+ * @returns {string} e.g. "512 KB" or "3.4 MB".
+ */
+const formatBytes = (bytes) => {
+  if (bytes < 1024 * 1024) return `${Math.ceil(bytes / 1024)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+// Timeline layout
+const TIMELINE_LABEL_WIDTH = 112;
+const TIMELINE_RULER_STEPS = [0.5, 1, 2, 5, 10, 15, 30, 60];
+
+/**
+ * Formats seconds as m:ss.s for the timeline ruler and playhead readout.
+ * @param {number} seconds - The time to format.
+ * @returns {string} The formatted time.
+ */
+const formatTimecode = (seconds) => {
+  const minutes = Math.floor(seconds / 60);
+  return `${minutes}:${(seconds - minutes * 60).toFixed(1).padStart(4, '0')}`;
+};
+
+/**
+ * Multi-track timeline showing scenes, narration, music, sound effects and subtitles on a shared time scale.
+ * Scenes can be dragged to reorder them and their right edge dragged to trim or extend them.
+ * Image and video files dropped on a scene replace its picture, and dropped on the empty end of the track add new scenes.
+ * Sound effects can be dragged along their track.
+ */
+const Timeline = ({ scenes, subtitles, soundEffects, musicUrl, currentTime, selectedSceneId, selectedEffectId, onSelectScene, onSelectEffect, onSeek, onMoveScene, onResizeScene, onMoveEffect, onDropMedia, onAddMedia }) => {
+  const [pixelsPerSecond, setPixelsPerSecond] = useState(40);
+  const [dragIndex, setDragIndex] = useState(null);
+  const [resizing, setResizing] = useState(null);
+  const [movingEffect, setMovingEffect] = useState(null);
+
+  // While an edge is being dragged, show the new length and let the following scenes ripple
+  const displayScenes = resizing
+    ? retimeScenes(scenes.map(s => s.id === resizing.id ? { ...s, duration: resizing.duration } : s))
+    : scenes;
+  const duration = getTimelineDuration(displayScenes);
+  const width = duration * pixelsPerSecond + 40;
+  const step = TIMELINE_RULER_STEPS.find(s => s * pixelsPerSecond >= 60) || 60;
+  const ticks = [];
+  for (let t = 0; t <= duration; t += step) ticks.push(t);
+
+  const handleResizeStart = (e, scene) => {
+    e.preventDefault();
+    e.stopPropagation();
+    const startX = e.clientX;
+    let nextDuration = scene.duration;
+
+    const handleMove = (moveEvent) => {
+      nextDuration = Math.max(0.1, Math.round((scene.duration + (moveEvent.clientX - startX) / pixelsPerSecond) * 10) / 10);
+      setResizing({ id: scene.id, duration: nextDuration });
+    };
+    const handleUp = () => {
+      window.removeEventListener('mousemove', handleMove);
+      window.removeEventListener('mouseup', handleUp);
+      setResizing(null);
+      if (nextDuration !== scene.duration) onResizeScene(scene.id, nextDuration);
+    };
+    window.addEventListener('mousemove', handleMove);
+    window.addEventListener('mouseup', handleUp);
+  };
+
+  const handleEffectDragStart = (e, sfx) => {
+    e.preventDefault();
+    const startX = e.clientX;
+    let nextStart = sfx.startTime;
+
+    const handleMove = (moveEvent) => {
+      nextStart = Math.max(0, Math.round((sfx.startTime + (moveEvent.clientX - startX) / pixelsPerSecond) * 100) / 100);
+      setMovingEffect({ id: sfx.id, startTime: nextStart });
+    };
+    const handleUp = () => {
+      window.removeEventListener('mousemove', handleMove);
+      window.removeEventListener('mouseup', handleUp);
+      setMovingEffect(null);
+      onSelectEffect(sfx.id);
+      if (nextStart !== sfx.startTime) onMoveEffect(sfx.id, nextStart);
+    };
+    window.addEventListener('mousemove', handleMove);
+    window.addEventListener('mouseup', handleUp);
+  };
+
+  const handleRulerClick = (e) => {
+    const rect = e.currentTarget.getBoundingClientRect();
+    onSeek(Math.max(0, Math.min(duration, (e.clientX - rect.left) / pixelsPerSecond)));
+  };
+
+  const trackLabels = [
+    { name: 'Scenes', height: 'h-20' },
+    { name: 'Voice-over', height: 'h-10' },
+    { name: 'Music', height: 'h-10' },
+    { name: 'Sound FX', height: 'h-10' },
+    { name: 'Subtitles', height: 'h-10' },
+  ];
+
+  return (
+    <div>
+      <div className="flex items-center gap-3 mb-2 text-sm">
+        <span className="font-mono">{formatTimecode(currentTime)} / {formatTimecode(duration)}</span>
+        <span className="ml-auto">Zoom:</span>
+        <button
+          onClick={() => setPixelsPerSecond(pps => Math.max(10, pps / 1.5))}
+          className="bg-gray-600 hover:bg-gray-500 rounded-full w-7 h-7"
+        >
+          −
+        </button>
+        <input
+          type="range"
+          min="10"
+          max="200"
+          value={pixelsPerSecond}
+          onChange={(e) => setPixelsPerSecond(Number(e.target.value))}
+        />
+        <button
+          onClick={() => setPixelsPerSecond(pps => Math.min(200, pps * 1.5))}
+          className="bg-gray-600 hover:bg-gray-500 rounded-full w-7 h-7"
+        >
+          +
+        </button>
+      </div>
+      <div className="flex bg-gray-700 rounded-lg overflow-hidden border-2 border-gray-600">
+        <div className="flex-shrink-0 flex flex-col border-r border-gray-600 text-xs font-semibold" style={{ width: TIMELINE_LABEL_WIDTH }}>
+          <div className="h-6 border-b border-gray-600"></div>
+          {trackLabels.map(track => (
+            <div key={track.name} className={`${track.height} flex items-center px-2 border-b border-gray-600`}>{track.name}</div>
+          ))}
+        </div>
+        <div className="flex-1 overflow-x-auto">
+          <div className="relative" style={{ width }}>
+            <div className="h-6 relative border-b border-gray-600 cursor-pointer" onClick={handleRulerClick}>
+              {ticks.map(t => (
+                <div key={t} className="absolute top-0 h-full border-l border-gray-500 pl-1 text-[10px] text-gray-300" style={{ left: t * pixelsPerSecond }}>
+                  {formatTimecode(t)}
+                </div>
+              ))}
+            </div>
+
+            <div
+              className="h-20 relative border-b border-gray-600"
+              onDragOver={(e) => e.preventDefault()}
+              onDrop={(e) => {
+                e.preventDefault();
+                if (e.dataTransfer.files.length > 0) onAddMedia(e.dataTransfer.files);
+              }}
+            >
+              {displayScenes.map((scene, index) => (
+                <div
+                  key={scene.id}
+                  draggable
+                  onDragStart={() => setDragIndex(index)}
+                  onDragOver={(e) => e.preventDefault()}
+                  onDrop={(e) => {
+                    e.preventDefault();
+                    e.stopPropagation();
+                    if (e.dataTransfer.files.length > 0) {
+                      onDropMedia(scene.id, e.dataTransfer.files[0]);
+                    } else if (dragIndex !== null && dragIndex !== index) {
+                      onMoveScene(dragIndex, index);
+                    }
+                    setDragIndex(null);
+                  }}
+                  onDragEnd={() => setDragIndex(null)}
+                  onClick={() => onSelectScene(scene)}
+                  className={`absolute top-1 bottom-1 rounded-md overflow-hidden border-2 cursor-grab ${selectedSceneId === scene.id ? 'border-yellow-500' : 'border-gray-600'} ${dragIndex === index ? 'opacity-50' : ''}`}
+                  style={{ left: scene.startTime * pixelsPerSecond, width: scene.duration * pixelsPerSecond, backgroundColor: '#22c55e' }}
+                  title={scene.prompt}
+                >
+                  <img src={scene.src} alt={scene.name} draggable={false} className="w-full h-full object-cover" />
+                  <div className="absolute inset-0 bg-black bg-opacity-30 flex items-center justify-center p-1">
+                    <span className="text-xs font-semibold text-center leading-tight truncate">{scene.clip ? '🎬 ' : ''}{scene.name}</span>
+                  </div>
+                  <div
+                    onMouseDown={(e) => handleResizeStart(e, scene)}
+                    className="absolute top-0 right-0 h-full w-2 bg-yellow-400 bg-opacity-60 cursor-ew-resize"
+                  ></div>
+                </div>
+              ))}
+            </div>
+
+            <div className="h-10 relative border-b border-gray-600">
+              {displayScenes.filter(scene => scene.voiceClip).map(scene => (
+                <div
+                  key={scene.id}
+                  className="absolute top-1 bottom-1 rounded bg-red-500 bg-opacity-80"
+                  style={{ left: scene.startTime * pixelsPerSecond, width: Math.min(getClipDuration(scene.voiceClip), scene.duration) * pixelsPerSecond }}
+                ></div>
+              ))}
+            </div>
+
+            <div className="h-10 relative border-b border-gray-600">
+              {musicUrl && (
+                <div className="absolute top-1 bottom-1 left-0 rounded bg-blue-500 bg-opacity-70 px-2 text-xs flex items-center" style={{ width: duration * pixelsPerSecond }}>
+                  ♪ Background music
+                </div>
+              )}
+            </div>
+
+            <div className="h-10 relative border-b border-gray-600">
+              {soundEffects.map(sfx => (
+                <div
+                  key={sfx.id}
+                  onMouseDown={(e) => handleEffectDragStart(e, sfx)}
+                  className={`absolute top-1 bottom-1 rounded bg-orange-500 px-1 text-xs flex items-center whitespace-nowrap cursor-ew-resize border-2 ${selectedEffectId === sfx.id ? 'border-yellow-400' : 'border-transparent'}`}
+                  style={{ left: (movingEffect && movingEffect.id === sfx.id ? movingEffect.startTime : sfx.startTime) * pixelsPerSecond }}
+                  title={`${sfx.name} at ${formatTimecode(sfx.startTime)}`}
+                >
+                  {sfx.name}
+                </div>
+              ))}
+            </div>
+
+            <div className="h-10 relative border-b border-gray-600">
+              {subtitles.map((sub, index) => (
+                <div
+                  key={`${sub.sceneId}_${index}`}
+                  className="absolute top-1 bottom-1 rounded bg-gray-500 px-1 text-xs flex items-center overflow-hidden whitespace-nowrap"
+                  style={{ left: sub.startTime * pixelsPerSecond, width: (sub.endTime - sub.startTime) * pixelsPerSecond }}
+                  title={sub.text}
+                >
+                  {sub.text}
+                </div>
+              ))}
+            </div>
+
+            <div className="absolute top-0 bottom-0 w-0.5 bg-red-500 pointer-events-none" style={{ left: currentTime * pixelsPerSecond }}></div>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
 
 // Main App component
 const App = () => {
   // State variables for the user script, generated assets, and UI feedback
   const [script, setScript] = useState('Welcome to the future of video creation! With this tool, you can automatically turn text into high-quality videos in seconds. Just type your story, choose a voice, and watch the AI do all the work. It will find the perfect video clips, create a voice-over, and assemble everything into a seamless production. Enjoy unlimited video creation, completely free.');
-  const [timelineItems, setTimelineItems] = useState([]);
   const [isGenerating, setIsGenerating] = useState(false);
   const [selectedVoice, setSelectedVoice] = useState('Kore');
+  const [speakerVoices, setSpeakerVoices] = useState({});
+  const [splitSettings, setSplitSettings] = useState(defaultSplitSettings);
+  const [sceneCursor, setSceneCursor] = useState(null);
+  const [sceneDraft, setSceneDraft] = useState(null);
   const [progress, setProgress] = useState(0);
   const [subtitles, setSubtitles] = useState([]);
-  const [currentSubtitle, setCurrentSubtitle] = useState('');
   const [videoSrc, setVideoSrc] = useState(null);
   const [backgroundMusicUrl, setBackgroundMusicUrl] = useState(null);
+  const [musicSettings, setMusicSettings] = useState(defaultMusicSettings);
+  const [isGeneratingMusic, setIsGeneratingMusic] = useState(false);
   const [soundEffects, setSoundEffects] = useState([]);
   const [playedEffects, setPlayedEffects] = useState([]);
+  const [sfxLibrary, setSfxLibrary] = useState(defaultSfxLibrary);
+  const [sfxRules, setSfxRules] = useState(defaultSfxRules);
+  const [selectedEffectId, setSelectedEffectId] = useState(null);
+  const [showSfxPanel, setShowSfxPanel] = useState(false);
   const [selectedClip, setSelectedClip] = useState(null);
+  const [recordingTarget, setRecordingTarget] = useState(null);
+  const [playbackTime, setPlaybackTime] = useState(0);
+  const [history, setHistory] = useState({ past: [], future: [] });
   const [isDownloading, setIsDownloading] = useState(false);
   const [jszipLoaded, setJszipLoaded] = useState(false);
+  const [isExporting, setIsExporting] = useState(false);
+  const [exportProgress, setExportProgress] = useState(0);
+  const [exportSettings, setExportSettings] = useState({ bitrate: 'medium', format: 'webm' });
+  const [videoFormat, setVideoFormat] = useState(defaultVideoFormat);
+  const [showSafeArea, setShowSafeArea] = useState(false);
+  const [captionStyle, setCaptionStyle] = useState(defaultCaptionStyle);
+  const [showCaptionPanel, setShowCaptionPanel] = useState(false);
+  const [showSubtitleEditor, setShowSubtitleEditor] = useState(false);
+  // The outcome of the last subtitle import, shown in the subtitle editor as `{ tone, text }`
+  const [subtitleImportStatus, setSubtitleImportStatus] = useState(null);
+  const [providerSettings, setProviderSettings] = useState(loadProviderSettings);
+  const [showSettings, setShowSettings] = useState(false);
+  const [cachedAssets, setCachedAssets] = useState([]);
+  const [visualStyle, setVisualStyle] = useState(defaultVisualStyle);
+  const [showStylePanel, setShowStylePanel] = useState(false);
+  const [isRewritingPrompts, setIsRewritingPrompts] = useState(false);
+  // The project's other languages; the active one is the script and narration being edited
+  const [languageTracks, setLanguageTracks] = useState([]);
+  const [showLanguagePanel, setShowLanguagePanel] = useState(false);
+  const [newLanguage, setNewLanguage] = useState('');
+  const [isTranslating, setIsTranslating] = useState(false);
+  // The outcome of the last language added, shown in the Languages panel as `{ tone, text }`
+  const [languageStatus, setLanguageStatus] = useState(null);
+  const [voices, setVoices] = useState([]);
+  const [projectId, setProjectId] = useState(() => `project_${Date.now()}`);
+  const [projectName, setProjectName] = useState('Untitled Project');
+  const [projectCreatedAt, setProjectCreatedAt] = useState(() => new Date().toISOString());
+  const [projectReady, setProjectReady] = useState(false);
+  const [savedProjects, setSavedProjects] = useState([]);
+  const [showProjects, setShowProjects] = useState(false);
+  const [lastSavedAt, setLastSavedAt] = useState(null);
+  const [generationJobs, setGenerationJobs] = useState([]);
+
+  // The script parsed into scenes, for the outline and for generation
+  const parsedScript = parseScript(script, splitSettings);
+  // The preview canvas follows the project's frame shape at a fixed low resolution
+  const previewLayout = getAspectRatio(videoFormat.aspectRatio);
+  const previewSize = getFrameSize(videoFormat.aspectRatio, '360p');
+  // Image options the selected image provider accepts, to explain ignored style settings
+  const imageProviderOptions = (generationProviders.find(p => p.id === providerSettings.image) || localProvider).imageOptions || [];
+  const editableScenes = toEditableScenes(parsedScript.scenes);
+  // Exported files are tagged with their language once a project has more than one
+  const languageSuffix = languageTracks.length > 0 ? `.${splitSettings.locale}` : '';
+  // Timing problems per subtitle cue, shown in the subtitle editor
+  const subtitleProblems = validateSubtitles(subtitles, videoSrc ? getTimelineDuration(videoSrc.images) : Infinity);
+
+  // References to the video and audio elements for playback control
+  const audioRef = useRef(null);
+  // Web Audio state for music playback in the preview: context, decoded track and playing source
+  const musicRef = useRef({ ctx: null, url: null, buffer: null, source: null });
+  const videoRef = useRef(null);
+  const lastHistoryRef = useRef({ kind: null, at: 0 });
+  // The microphone recording in progress, and the latest narration handler for when it stops
+  const recorderRef = useRef(null);
+  const narrationHandlerRef = useRef(null);
+  // Cancels the generation run in progress
+  const generationAbortRef = useRef(null);
+  // Cancels the visual prompt writing in progress
+  const promptAbortRef = useRef(null);
+  // Object URLs of uploaded scene media, released once neither the timeline nor the undo history uses them
+  const mediaUrlsRef = useRef(new Set());
+  // The state as of the latest render, for handlers that carry on after awaiting a provider
+  const latestRef = useRef(null);
+  latestRef.current = { script, splitSettings, videoSrc, subtitles, soundEffects, selectedVoice, speakerVoices, languageTracks, history, isGenerating };
+
+  /**
+   * Looks up the provider selected for a capability together with its connection settings.
+   * @param {string} capability - 'image', 'speech', 'music', 'soundEffect', 'prompt' or 'translation'.
+   * @param {AbortSignal} signal - Cancels the provider's requests.
+   * @returns {object} The provider and its `{ endpoint, apiKey, signal }` config.
+   */
+  const getProvider = (capability, signal) => resolveProvider(providerSettings, capability, signal);
+
+  /**
+   * Stores a generated asset in the cache. Cache failures are logged and otherwise ignored.
+   * @param {object} request - The request from `describeRequest`.
+   * @param {string} label - A readable summary of the asset for the cache list.
+   * @param {string|object} asset - The media URL or narration clip.
+   */
+  const cacheAsset = async (request, label, asset) => {
+    // Offline placeholders are quicker to make again than to store
+    if (request.provider === 'local') return;
+    try {
+      const value = await toCachedValue(asset);
+      const now = new Date().toISOString();
+      await putCachedAsset({
+        key: await getAssetCacheKey(request),
+        kind: request.capability,
+        label,
+        provider: request.provider,
+        value,
+        size: getCachedValueSize(value),
+        createdAt: now,
+        usedAt: now,
+      });
+      await evictCachedAssets(ASSET_CACHE_LIMIT_BYTES);
+    } catch (error) {
+      console.warn("Could not cache generated asset:", error);
+    }
+  };
+
+  /**
+   * Returns the cached asset for a request, or generates and caches it.
+   * @param {object} request - The request from `describeRequest`.
+   * @param {string} label - A readable summary of the asset for the cache list.
+   * @param {function} generate - Generates the asset when it is not cached.
+   * @param {object} options - `refresh` skips the cached asset and replaces it.
+   * @returns {string|object} The media URL or narration clip.
+   */
+  const withAssetCache = async (request, label, generate, { refresh = false } = {}) => {
+    if (!refresh && request.provider !== 'local') {
+      try {
+        const entry = await getCachedAsset(await getAssetCacheKey(request));
+        if (entry) {
+          putCachedAsset({ ...entry, usedAt: new Date().toISOString() })
+            .catch(error => console.warn("Could not update the asset cache:", error));
+          return await fromCachedValue(entry.value);
+        }
+      } catch (error) {
+        console.warn("Could not read the asset cache:", error);
+      }
+    }
+    const asset = await generate();
+    await cacheAsset(request, label, asset);
+    return asset;
+  };
+
+  /**
+   * Resolves an image request against the selected image provider, in the project's frame shape.
+   * @param {object} request - The `{ prompt, negativePrompt, seed }` from `applyVisualStyle`.
+   * @param {AbortSignal} signal - Cancels generation.
+   * @returns {object} The provider and config, the prompt and options to send, and the cache request.
+   */
+  const prepareImageRequest = (request, signal) => {
+    const { provider, config } = getProvider('image', signal);
+    return { provider, config, ...buildImageRequest(request, videoFormat.aspectRatio, provider, config) };
+  };
+
+  /**
+   * Generates an image with the selected image provider, retrying transient failures.
+   * Unchanged requests are served from the asset cache.
+   * @param {object} request - The `{ prompt, negativePrompt, seed }` from `applyVisualStyle`.
+   * @param {AbortSignal} signal - Cancels generation.
+   * @param {object} options - `variation` asks for a new image without the seed and caches it
+   *   as the image for the request, so the next generation keeps it.
+   * @returns {string} The URL of the generated image.
+   */
+  const generateImage = (request, signal, { variation = false } = {}) => {
+    const { provider, config, fullPrompt, options, cacheRequest } = prepareImageRequest(request, signal);
+    const sent = variation ? { ...options, seed: null } : options;
+    return withAssetCache(
+      cacheRequest,
+      fullPrompt,
+      () => withRetry(() => provider.generateImage(fullPrompt, sent, config), { retries: providerSettings.retries, signal }),
+      { refresh: variation },
+    );
+  };
+
+  /**
+   * Generates a narration clip with the selected speech provider, retrying transient failures.
+   * Unchanged lines are served from the asset cache.
+   * @param {string} text - The text to convert to speech.
+   * @param {string} voiceName - The voice to use.
+   * @param {AbortSignal} signal - Cancels generation.
+   * @returns {object} The raw PCM clip as `{ pcm, sampleRate }`.
+   */
+  const generateAudio = (text, voiceName, signal) => {
+    const { provider, config } = getProvider('speech', signal);
+    return withAssetCache(
+      describeRequest('speech', provider, config, { text, voice: voiceName }),
+      text,
+      () => withRetry(() => provider.generateSpeech(text, voiceName, config), { retries: providerSettings.retries, signal }),
+    );
+  };
+
+  /**
+   * Generates a scene's narration: each speech segment in its speaker's voice, with silence for pauses.
+   * Unmapped speakers use the selected voice.
+   * @param {Array} segments - The scene's speech and pause segments.
+   * @param {AbortSignal} signal - Cancels generation.
+   * @returns {object|null} The narration clip, or null if the scene has no speech.
+   */
+  const generateNarration = async (segments, signal) => {
+    const clips = await Promise.all(segments.map(segment => segment.type === 'speech'
+      ? generateAudio(segment.text, speakerVoices[segment.speaker] || selectedVoice, signal)
+      : null));
+    return joinNarration(segments, clips);
+  };
+
+  /**
+   * Generates background music for the script with the selected music provider.
+   * @param {string} script - The video script, used as the music prompt.
+   * @param {AbortSignal} signal - Cancels generation.
+   * @param {object} options - `refresh` generates a new track instead of reusing the cached one.
+   * @returns {string|null} The URL of the music track.
+   */
+  const generateBackgroundMusic = async (script, signal, { refresh = false } = {}) => {
+    const { provider, config } = getProvider('music', signal);
+    const prompt = `Background music for a video about: ${script}`;
+    try {
+      return await withAssetCache(
+        describeRequest('music', provider, config, { prompt }),
+        prompt,
+        () => withRetry(() => provider.generateMusic(prompt, config), { retries: providerSettings.retries, signal }),
+        { refresh },
+      );
+    } catch (error) {
+      if (!isAbortError(error)) console.error("Error generating background music:", error);
+      return null;
+    }
+  };
+
+  /**
+   * Generates audio for a sound effect library entry with the selected sound effect provider.
+   * @param {string} name - The effect name, used as the prompt.
+   * @param {AbortSignal} signal - Cancels generation.
+   * @returns {string|null} The URL of the effect audio.
+   */
+  const generateSoundEffect = async (name, signal) => {
+    const { provider, config } = getProvider('soundEffect', signal);
+    try {
+      return await withAssetCache(
+        describeRequest('soundEffect', provider, config, { prompt: name }),
+        name,
+        () => withRetry(() => provider.generateSoundEffect(name, config), { retries: providerSettings.retries, signal }),
+      );
+    } catch (error) {
+      if (!isAbortError(error)) console.error(`Error generating sound effect "${name}":`, error);
+      return null;
+    }
+  };
+
+  /**
+   * Places sound effects for the video using the library and rules. Library entries that
+   * have no audio yet are generated first.
+   * @param {Array} scenes - Timed scenes.
+   * @param {Array} cues - Subtitle cues linked to scenes by `sceneId`.
+   * @param {AbortSignal} signal - Cancels generation.
+   * @returns {object} The updated `{ library, effects }`.
+   */
+  const generateSoundEffects = async (scenes, cues, signal) => {
+    const library = await Promise.all(sfxLibrary.map(async (entry) => {
+      if (entry.src || !sfxRules.some(rule => rule.effectId === entry.id)) return entry;
+      return { ...entry, src: await generateSoundEffect(entry.name, signal) };
+    }));
+    return { library, effects: placeSoundEffects(scenes, cues, sfxRules, library) };
+  };
+
+  /**
+   * Updates one job in the generation status list.
+   * @param {string} id - The job ID.
+   * @param {object} changes - Job properties to change.
+   */
+  const updateJob = (id, changes) => {
+    setGenerationJobs(prev => prev.map(job => job.id === id ? { ...job, ...changes } : job));
+  };
+
+  /**
+   * Generates the narration and image for each scene job, a few scenes at a time.
+   * A failed scene is marked as failed without stopping the others.
+   * @param {Array} jobs - The jobs to run.
+   * @param {AbortSignal} signal - Cancels the run.
+   * @param {function} onStep - Called after each narration or image request settles.
+   * @returns {Array} The jobs with their final status and, when done, their `result`.
+   */
+  const runSceneJobs = async (jobs, signal, onStep) => {
+    const tasks = jobs.map(job => async () => {
+      updateJob(job.id, { status: 'running', error: null });
+      try {
+        const [voiceClip, imageUrl] = await Promise.all([
+          generateNarration(job.segments, signal).finally(onStep),
+          generateImage(applyVisualStyle(job.prompt, job.text, visualStyle), signal).finally(onStep),
+        ]);
+        const imgObject = await loadImage(imageUrl);
+        if (!imgObject) {
+          throw new Error(`Failed to load image ${imageUrl}.`);
+        }
+        const result = { voiceClip, imageUrl, imgObject };
+        updateJob(job.id, { status: 'done', result });
+        return { ...job, status: 'done', result };
+      } catch (error) {
+        const status = isAbortError(error) ? 'cancelled' : 'failed';
+        if (status === 'failed') console.error(`Scene ${job.index + 1} failed:`, error);
+        updateJob(job.id, { status, error: status === 'failed' ? error.message : null });
+        return { ...job, status, error: error.message };
+      }
+    });
+    const settled = await runWithConcurrency(tasks, providerSettings.concurrency, signal);
+    return settled.map((outcome, index) => outcome.status === 'fulfilled' ? outcome.value : { ...jobs[index], status: 'cancelled' });
+  };
+
+  /**
+   * Creates a progress callback that advances the progress bar by one step out of `total`.
+   * @param {number} total - The number of steps in the run.
+   * @returns {function} Advances the progress bar.
+   */
+  const createProgressTracker = (total) => {
+    let completed = 0;
+    return () => {
+      completed++;
+      setProgress(Math.round((completed / total) * 100));
+    };
+  };
+
+  /**
+   * Orchestrates the entire automated video generation process. Scenes are generated as
+   * independent jobs; the video is assembled from the ones that succeed.
+   */
+  const handleGenerateVideo = async () => {
+    if (isGenerating) return;
+    const parsed = parseScript(script, splitSettings);
+    if (parsed.errors.length > 0) {
+      console.error("Fix the script markup errors before generating:", parsed.errors);
+      return;
+    }
+    recordHistory();
+    setIsGenerating(true);
+    setSubtitles([]);
+    if (videoSrc) URL.revokeObjectURL(videoSrc.audio);
+    setVideoSrc(null);
+    setProgress(0);
+    setSelectedClip(null);
+    setPlayedEffects([]);
+    setPlaybackTime(0);
 
-  // References to the video and audio elements for playback control
-  const audioRef = useRef(null);
-  const musicRef = useRef(null);
-  const videoRef = useRef(null);
+    const controller = new AbortController();
+    generationAbortRef.current = controller;
+    const runId = Date.now();
+    // Jobs remember their project, so a retry never lands in a project opened since
+    const jobs = createSceneJobs(parsed.scenes, runId).map(job => ({ ...job, projectId }));
+    setGenerationJobs(jobs);
+
+    try {
+      // Step 1: Generate narration and images per scene; two steps per scene plus music and sound effects
+      const onStep = createProgressTracker(jobs.length * 2 + 2);
+      const finished = await runSceneJobs(jobs, controller.signal, onStep);
+      const doneJobs = finished.filter(job => job.status === 'done');
+      const imageAssets = retimeScenes(doneJobs.map(createSceneFromJob));
+      if (imageAssets.length === 0) {
+        throw new Error("No scenes could be generated.");
+      }
+      const audioUrl = URL.createObjectURL(buildVoiceOverTrack(imageAssets));
+
+      // Create subtitle data, one cue per narrated scene
+      const subtitleData = buildSceneSubtitles(imageAssets, doneJobs);
+
+      // Step 2: Generate music and sound effects
+      const musicUrl = await generateBackgroundMusic(script, controller.signal);
+      onStep();
+      const { library, effects } = await generateSoundEffects(imageAssets, subtitleData, controller.signal);
+      onStep();
+
+      // Step 3: Update state for timeline and preview
+      setVideoSrc({ audio: audioUrl, images: imageAssets });
+      setBackgroundMusicUrl(musicUrl);
+      setSfxLibrary(library);
+      setSoundEffects(effects);
+      setSubtitles(subtitleData);
+
+      // Final progress update and state reset
+      setProgress(100);
+      setTimeout(() => {
+        setIsGenerating(false);
+      }, 500);
+
+    } catch (error) {
+      console.error("Video generation failed:", error);
+      setIsGenerating(false);
+      setProgress(0);
+    } finally {
+      generationAbortRef.current = null;
+    }
+  };
+
+  /**
+   * Regenerates the scenes that failed or were cancelled in the last run and inserts them
+   * into the timeline in script order. Sound effects are placed again afterwards.
+   */
+  const handleRetryFailedScenes = async () => {
+    const retryJobs = generationJobs.filter(job => job.status === 'failed' || job.status === 'cancelled');
+    if (isGenerating || retryJobs.length === 0) return;
+    if (retryJobs.some(job => job.projectId !== projectId)) {
+      console.warn("Not retrying scenes from another project.");
+      setGenerationJobs([]);
+      return;
+    }
+    setIsGenerating(true);
+    setProgress(0);
+    const controller = new AbortController();
+    generationAbortRef.current = controller;
+
+    try {
+      const finished = await runSceneJobs(retryJobs, controller.signal, createProgressTracker(retryJobs.length * 2));
+      const doneJobs = finished.filter(job => job.status === 'done');
+      if (doneJobs.length === 0) return;
+
+      // Insert each scene before the first scene that comes later in the script, into the timeline
+      // as it is now rather than as it was when the retry started
+      const current = latestRef.current;
+      const jobIndex = new Map(generationJobs.map(job => [job.id, job.index]));
+      const scenes = current.videoSrc ? [...current.videoSrc.images] : [];
+      doneJobs.forEach(job => {
+        const at = scenes.findIndex(scene => jobIndex.has(scene.id) && jobIndex.get(scene.id) > job.index);
+        scenes.splice(at === -1 ? scenes.length : at, 0, createSceneFromJob(job));
+      });
+      const retimed = retimeScenes(scenes);
+      const nextSubtitles = [...current.subtitles, ...doneJobs.filter(job => job.text).map(job => ({ sceneId: job.id, text: job.text, startTime: 0, endTime: 0 }))];
+      updateScenes(retimed, nextSubtitles);
+
+      // Only the new scenes get effects; the ones already placed, including hand-placed ones, stay
+      const newIds = new Set(doneJobs.map(job => job.id));
+      const { library, effects } = await generateSoundEffects(retimed.filter(scene => newIds.has(scene.id)), nextSubtitles, controller.signal);
+      setSfxLibrary(prev => prev.map(entry => entry.src ? entry : library.find(e => e.id === entry.id) || entry));
+      setSoundEffects(prev => {
+        const latest = latestRef.current;
+        return resolveSoundEffects([...prev, ...effects], latest.videoSrc ? latest.videoSrc.images : retimed, latest.subtitles);
+      });
+    } catch (error) {
+      console.error("Regenerating failed scenes failed:", error);
+    } finally {
+      generationAbortRef.current = null;
+      setIsGenerating(false);
+      setProgress(0);
+    }
+  };
+
+  /**
+   * Cancels the generation run in progress. Scenes that already finished are kept.
+   */
+  const handleCancelGeneration = () => {
+    if (generationAbortRef.current) generationAbortRef.current.abort();
+    setGenerationJobs(prev => prev.map(job => job.status === 'pending' || job.status === 'running' ? { ...job, status: 'cancelled' } : job));
+  };
+
+  /**
+   * Handles downloading the assets as a single ZIP file, together with a manifest of the cut and
+   * FFmpeg, EDL and FCPXML versions of the timeline for finishing in other tools.
+   */
+  const handleDownloadAssets = async () => {
+    if (!jszipLoaded || !videoSrc || isDownloading) return;
+
+    setIsDownloading(true);
+
+    try {
+      // Gather the package, measuring music and effects for the timeline exports
+      const measureCtx = new OfflineAudioContext(1, 1, 44100);
+      const files = await collectPackageFiles({
+        name: projectName,
+        videoFormat,
+        language: splitSettings.locale,
+        voiceOverUrl: videoSrc.audio,
+        scenes: videoSrc.images,
+        musicUrl: backgroundMusicUrl,
+        musicSettings,
+        soundEffects,
+        subtitles,
+        languageTracks,
+      }, async (url) => {
+        const buffer = await loadAudioBuffer(measureCtx, url);
+        return buffer ? buffer.duration : null;
+      });
+      const zip = new window.JSZip();
+      files.forEach(file => zip.file(file.name, file.data, file.executable ? { unixPermissions: '755' } : {}));
+
+      // Generate the zip file and trigger download
+      const content = await zip.generateAsync({ type: "blob", platform: "UNIX" });
+      downloadBlob(content, 'my-video-assets.zip');
+    } catch (error) {
+      console.error("Failed to generate zip file:", error);
+    } finally {
+      setIsDownloading(false);
+    }
+  };
+
+  /**
+   * Renders the scene timeline, burned-in subtitles and mixed audio into a single video file.
+   * Uses WebCodecs to encode faster than real time where available, otherwise records playback.
+   */
+  const handleExportVideo = async () => {
+    if (!videoSrc || isExporting) return;
+
+    setIsExporting(true);
+    setExportProgress(0);
+
+    try {
+      const { width, height } = getFrameSize(videoFormat.aspectRatio, videoFormat.resolution);
+      const layout = getAspectRatio(videoFormat.aspectRatio);
+      const captions = captionStyle.enabled ? buildCaptionCards(subtitles, videoSrc.images, captionStyle, layout) : [];
+      const { bitrate } = exportBitrates.find(b => b.id === exportSettings.bitrate);
+      const format = exportFormats.find(f => f.id === exportSettings.format);
+
+      const audioBuffer = await mixExportAudio({
+        voiceUrl: videoSrc.audio,
+        musicUrl: backgroundMusicUrl,
+        musicSettings,
+        speechIntervals: getSpeechIntervals(videoSrc.images),
+        effects: soundEffects,
+        duration: getTimelineDuration(videoSrc.images),
+      });
+
+      const options = {
+        format,
+        width,
+        height,
+        bitrate,
+        duration: audioBuffer.duration,
+        audioBuffer,
+        // Offline rendering seeks video clips to each frame; real-time recording lets them play
+        prepareFrame: (time) => seekSceneClips(videoSrc.images, time),
+        syncFrame: (time) => syncSceneClips(videoSrc.images, time, true),
+        drawFrame: (ctx, time) => drawVideoFrame(ctx, { width, height, layout, time, images: videoSrc.images, captions, captionStyle }),
+        onProgress: setExportProgress,
+      };
+      const blob = await canRenderOffline(options)
+        ? await renderVideoWithWebCodecs(options)
+        : await renderVideoRealtime(options);
+      downloadBlob(blob, `my-video${languageSuffix}.${format.extension}`);
+    } catch (error) {
+      console.error("Video export failed:", error);
+    } finally {
+      syncSceneClips(videoSrc.images, -Infinity, false);
+      setIsExporting(false);
+    }
+  };
+
+  /**
+   * Applies an edited scene list everywhere it is used: the preview, the timeline,
+   * the subtitles and the stitched voice-over track. Scenes are laid out back to back.
+   * @param {Array} scenes - Scenes in playback order.
+   * @param {Array} nextSubtitles - Subtitle cues for the scenes, linked by `sceneId`.
+   * @param {Array} previousScenes - The timing the cues were written against.
+   */
+  const applyScenes = (scenes, nextSubtitles, previousScenes = latestRef.current.videoSrc ? latestRef.current.videoSrc.images : []) => {
+    if (latestRef.current.videoSrc) URL.revokeObjectURL(latestRef.current.videoSrc.audio);
+    if (scenes.length === 0) {
+      setVideoSrc(null);
+      setSubtitles([]);
+      setSoundEffects(prev => prev.filter(sfx => !sfx.anchor));
+      setSelectedClip(null);
+      return;
+    }
+
+    const retimed = retimeScenes(scenes);
+    const timing = new Map(retimed.map(scene => [scene.id, scene]));
+    const previous = new Map(previousScenes.map(scene => [scene.id, scene]));
+    const audioUrl = URL.createObjectURL(buildVoiceOverTrack(retimed));
+
+    setVideoSrc(prev => ({ ...prev, audio: audioUrl, images: retimed }));
+    const retimedSubtitles = nextSubtitles
+      .filter(sub => timing.has(sub.sceneId))
+      .map(sub => {
+        const scene = timing.get(sub.sceneId);
+        const before = previous.get(sub.sceneId);
+        const end = scene.startTime + scene.duration;
+        // Cues that filled their scene keep filling it; hand-timed cues move with their scene
+        if (!before || (sub.startTime <= before.startTime + 0.01 && sub.endTime >= before.startTime + before.duration - 0.01)) {
+          return { ...sub, startTime: scene.startTime, endTime: end };
+        }
+        const shift = scene.startTime - before.startTime;
+        return {
+          ...sub,
+          startTime: clamp(sub.startTime + shift, scene.startTime, end),
+          endTime: clamp(sub.endTime + shift, scene.startTime, end),
+        };
+      })
+      .sort((a, b) => a.startTime - b.startTime);
+    setSubtitles(retimedSubtitles);
+    setSoundEffects(prev => resolveSoundEffects(prev, retimed, retimedSubtitles));
+    setSelectedClip(prev => prev ? timing.get(prev.id) || null : null);
+  };
+
+  /**
+   * Records an undoable scene edit and applies it.
+   * @param {Array} scenes - Scenes in playback order.
+   * @param {Array} nextSubtitles - Subtitle cues for the scenes, linked by `sceneId`.
+   */
+  const updateScenes = (scenes, nextSubtitles = subtitles) => {
+    recordHistory();
+    applyScenes(scenes, nextSubtitles);
+  };
+
+  /**
+   * Captures the undoable parts of the editor state.
+   * @returns {object} The script, scenes and subtitles.
+   */
+  const takeSnapshot = () => {
+    const current = latestRef.current;
+    return {
+      script: current.script,
+      scenes: current.videoSrc ? current.videoSrc.images : null,
+      subtitles: current.subtitles,
+      soundEffects: current.soundEffects,
+    };
+  };
+
+  /**
+   * Saves the current state to the undo stack before an edit and clears the redo stack.
+   * Consecutive edits of the same kind within a second (e.g. typing) share one undo step.
+   * @param {string} kind - The kind of edit, used to merge bursts of typing.
+   */
+  const recordHistory = (kind = 'edit') => {
+    const now = Date.now();
+    const last = lastHistoryRef.current;
+    lastHistoryRef.current = { kind, at: now };
+    if (kind !== 'edit' && last.kind === kind && now - last.at < HISTORY_MERGE_MS) return;
+
+    const snapshot = takeSnapshot();
+    setHistory(prev => ({ past: [...prev.past, snapshot].slice(-HISTORY_LIMIT), future: [] }));
+  };
+
+  /**
+   * Restores a snapshot taken by `takeSnapshot`.
+   * @param {object} snapshot - The state to restore.
+   */
+  const restoreSnapshot = (snapshot) => {
+    setScript(snapshot.script);
+    if (snapshot.scenes) {
+      applyScenes(snapshot.scenes, snapshot.subtitles, snapshot.scenes);
+    } else {
+      applyScenes([], []);
+    }
+    setSoundEffects(snapshot.soundEffects);
+    lastHistoryRef.current = { kind: null, at: 0 };
+  };
+
+  /**
+   * Reverts the most recent edit.
+   */
+  const handleUndo = () => {
+    const { history, isGenerating } = latestRef.current;
+    if (history.past.length === 0 || isGenerating) return;
+    const previous = history.past[history.past.length - 1];
+    setHistory({ past: history.past.slice(0, -1), future: [takeSnapshot(), ...history.future] });
+    restoreSnapshot(previous);
+  };
+
+  /**
+   * Re-applies the most recently undone edit.
+   */
+  const handleRedo = () => {
+    const { history, isGenerating } = latestRef.current;
+    if (history.future.length === 0 || isGenerating) return;
+    const [next, ...rest] = history.future;
+    setHistory({ past: [...history.past, takeSnapshot()], future: rest });
+    restoreSnapshot(next);
+  };
+
+  /**
+   * Handles edits to the script text. Bursts of typing are undone together.
+   */
+  const handleScriptChange = (e) => {
+    recordHistory('script');
+    setScript(e.target.value);
+  };
+
+  /**
+   * Rewrites the script from the scene list editor. Bursts of typing are undone as one step.
+   * @param {Array} scenes - Editable scenes as `{ title, body, prompt, duration }`.
+   */
+  const updateScriptScenes = (scenes) => {
+    recordHistory('script');
+    setScript(editableScenesToScript(scenes));
+  };
+
+  /**
+   * Changes the title, narration, image prompt or duration of a scene in the scene list editor.
+   * The field keeps showing the typed text while it is focused, since the script round trip
+   * normalizes whitespace.
+   * @param {number} index - The scene index.
+   * @param {string} field - 'title', 'body', 'prompt' or 'duration'.
+   * @param {string} text - The text typed into the field.
+   * @param {*} value - The value to store, if different from the text.
+   */
+  const handleEditScene = (index, field, text, value = text) => {
+    setSceneDraft({ index, field, text });
+    updateScriptScenes(editableScenes.map((scene, i) => i === index ? { ...scene, [field]: value } : scene));
+  };
+
+  /**
+   * Returns what a scene list editor field shows: the typed text while it is being edited, else the scene value.
+   * @param {number} index - The scene index.
+   * @param {string} field - The scene field.
+   * @returns {string} The field text.
+   */
+  const getSceneFieldText = (index, field) => {
+    if (sceneDraft && sceneDraft.index === index && sceneDraft.field === field) return sceneDraft.text;
+    return editableScenes[index][field] || '';
+  };
+
+  /**
+   * Splits a scene in the scene list editor at the cursor, or between its middle sentences.
+   * @param {number} index - The scene index.
+   */
+  const handleSplitScriptScene = (index) => {
+    const position = sceneCursor && sceneCursor.index === index ? sceneCursor.position : null;
+    const halves = splitEditableScene(editableScenes[index], position, splitSettings.locale);
+    if (!halves) return;
+    recordHistory();
+    setScript(editableScenesToScript([...editableScenes.slice(0, index), ...halves, ...editableScenes.slice(index + 1)]));
+    setSceneCursor(null);
+  };
+
+  /**
+   * Merges a scene in the scene list editor with the next one.
+   * @param {number} index - The scene index.
+   */
+  const handleMergeScriptScenes = (index) => {
+    const merged = mergeEditableScenes(editableScenes[index], editableScenes[index + 1]);
+    recordHistory();
+    setScript(editableScenesToScript([...editableScenes.slice(0, index), merged, ...editableScenes.slice(index + 2)]));
+    setSceneCursor(null);
+  };
+
+  /**
+   * Rewrites the narration of every scene without an image prompt into a visual prompt with the
+   * selected prompt provider. The prompts land in the scene list editor for review before generation.
+   */
+  const handleRewritePrompts = async () => {
+    if (isRewritingPrompts) return;
+    const targets = editableScenes
+      .map((scene, index) => ({ index, text: parsedScript.scenes[index].text, hasPrompt: Boolean(scene.prompt) }))
+      .filter(target => target.text && !target.hasPrompt);
+    if (targets.length === 0) return;
+    setIsRewritingPrompts(true);
+    const controller = new AbortController();
+    promptAbortRef.current = controller;
+
+    try {
+      const { provider, config } = getProvider('prompt', controller.signal);
+      const retryOptions = { retries: providerSettings.retries, signal: controller.signal };
+      const tasks = targets.map(target => () => withRetry(() => provider.rewritePrompt(target.text, config), retryOptions));
+      const results = await runWithConcurrency(tasks, providerSettings.concurrency, controller.signal);
+      const prompts = new Map();
+      results.forEach((result, i) => {
+        if (result.status === 'fulfilled') {
+          prompts.set(targets[i].index, result.value);
+        } else if (!isAbortError(result.reason)) {
+          console.error(`Error writing a visual prompt for scene ${targets[i].index + 1}:`, result.reason);
+        }
+      });
+
+      // The script may have been edited meanwhile: prompts only go to scenes that still have the same text and no prompt.
+      // Prompts written before a cancel are still applied.
+      const current = latestRef.current;
+      const currentScenes = parseScript(current.script, current.splitSettings).scenes;
+      const currentEditable = toEditableScenes(currentScenes);
+      const applicable = targets.filter(target => prompts.has(target.index)
+        && currentScenes[target.index] && currentScenes[target.index].text === target.text && !currentEditable[target.index].prompt);
+      if (applicable.length > 0) {
+        const updated = currentEditable.map((scene, index) => applicable.some(target => target.index === index)
+          ? { ...scene, prompt: prompts.get(index) }
+          : scene);
+        recordHistory();
+        setScript(editableScenesToScript(updated));
+      }
+    } catch (error) {
+      console.error("Writing visual prompts failed:", error);
+    } finally {
+      promptAbortRef.current = null;
+      setIsRewritingPrompts(false);
+    }
+  };
+
+
+  /**
+   * Makes a language track the active language: its script, voices, narration and subtitles move into
+   * the editor, and the current language is stored as a track in its place. Undo history only covers
+   * the active language, so it is cleared.
+   * @param {object} track - The track to activate.
+   * @param {Array} otherTracks - The tracks that stay inactive.
+   */
+  const activateLanguageTrack = (track, otherTracks) => {
+    // Read through the ref, since adding a language resumes here after awaiting the translation
+    const { script, splitSettings, videoSrc, subtitles, selectedVoice, speakerVoices } = latestRef.current;
+    const current = createLanguageTrack({
+      locale: splitSettings.locale,
+      script,
+      selectedVoice,
+      speakerVoices,
+      scenes: videoSrc ? videoSrc.images : [],
+      subtitles,
+    });
+    setLanguageTracks([...otherTracks, current].sort((a, b) => a.locale.localeCompare(b.locale)));
+    setScript(track.script);
+    setSelectedVoice(track.selectedVoice);
+    setSpeakerVoices(track.speakerVoices);
+    setSplitSettings(prev => ({ ...prev, locale: track.locale }));
+    if (videoSrc) {
+      const scenes = applyLanguageTrack(videoSrc.images, track);
+      applyScenes(scenes, track.subtitles, scenes);
+    } else {
+      setSubtitles(track.subtitles);
+    }
+    setHistory({ past: [], future: [] });
+    lastHistoryRef.current = { kind: null, at: 0 };
+  };
+
+  /**
+   * Switches the editor to another of the project's languages.
+   * @param {string} locale - The language to switch to.
+   */
+  const handleSwitchLanguage = (locale) => {
+    if (isGenerating || recordingTarget) return;
+    const track = languageTracks.find(t => t.locale === locale);
+    activateLanguageTrack(track, languageTracks.filter(t => t !== track));
+  };
+
+  /**
+   * Adds the language picked in the language panel and switches to it. Its script starts as a
+   * translation of the current one by the translation provider, or as a copy to paste over.
+   * Either way it is written in scene markup, so its scenes line up with the shared images.
+   * @param {boolean} translate - Whether to translate the script.
+   */
+  const handleAddLanguage = async (translate) => {
+    if (!newLanguage || isTranslating || isGenerating) return;
+    let translated = editableScenesToScript(editableScenes);
+    setLanguageStatus(null);
+    if (translate) {
+      setIsTranslating(true);
+      try {
+        const { provider, config } = getProvider('translation');
+        if (!provider.translateScript) {
+          throw new Error(`${provider.name} cannot translate scripts.`);
+        }
+        translated = await withRetry(() => provider.translateScript(translated, getLanguageName(newLanguage), config), { retries: providerSettings.retries });
+      } catch (error) {
+        console.error("Translation failed:", error);
+        setLanguageStatus({ tone: 'error', text: `Could not translate the script into ${getLanguageName(newLanguage)}: ${error.message}` });
+        return;
+      } finally {
+        setIsTranslating(false);
+      }
+    }
+    const current = latestRef.current;
+    if (current.languageTracks.some(track => track.locale === newLanguage)) return;
+    activateLanguageTrack(
+      { locale: newLanguage, script: translated, selectedVoice: current.selectedVoice, speakerVoices: current.speakerVoices, subtitles: [], narration: {} },
+      current.languageTracks,
+    );
+    setLanguageStatus({ tone: 'info', text: `Added ${getLanguageName(newLanguage)}${translate ? ' with a translated script' : ''}.` });
+    setNewLanguage('');
+  };
+
+  /**
+   * Removes an inactive language from the project, with its script and narration, once the user confirms.
+   * Language tracks are outside the undo history, so this cannot be undone.
+   * @param {string} locale - The language to remove.
+   */
+  const handleDeleteLanguage = (locale) => {
+    if (!window.confirm(`Delete the ${getLanguageName(locale)} script, narration and subtitles? This cannot be undone.`)) return;
+    setLanguageTracks(prev => prev.filter(track => track.locale !== locale));
+  };
+
+  /**
+   * Generates narration for the active language over the existing scenes and images, refits each
+   * scene to its new narration and rebuilds the subtitles from the script.
+   */
+  const handleGenerateNarration = async () => {
+    if (isGenerating || !videoSrc) return;
+    const parsed = parseScript(script, splitSettings);
+    if (parsed.errors.length > 0) {
+      console.error("Fix the script markup errors before generating:", parsed.errors);
+      return;
+    }
+    if (parsed.scenes.length !== videoSrc.images.length) {
+      console.error(`The script has ${parsed.scenes.length} scenes but the video has ${videoSrc.images.length}. Give every scene its own "##" section.`);
+      return;
+    }
+
+    setIsGenerating(true);
+    setProgress(0);
+    const controller = new AbortController();
+    generationAbortRef.current = controller;
+    const onStep = createProgressTracker(parsed.scenes.length);
+
+    try {
+      const tasks = parsed.scenes.map(scene => () => generateNarration(scene.segments, controller.signal).finally(onStep));
+      const settled = await runWithConcurrency(tasks, providerSettings.concurrency, controller.signal);
+      const failed = settled.find(outcome => outcome.status === 'rejected');
+      if (failed) throw failed.reason;
+
+      // The timeline may have been edited meanwhile: narration goes to the scenes it was made for, by ID
+      const narrated = new Map(videoSrc.images.map((scene, i) => [scene.id, { voiceClip: settled[i].value, parsed: parsed.scenes[i] }]));
+      const current = latestRef.current;
+      if (!current.videoSrc) return;
+      const scenes = current.videoSrc.images.map(scene => {
+        const narration = narrated.get(scene.id);
+        if (!narration) return scene;
+        return { ...scene, voiceClip: narration.voiceClip, duration: fitSceneDuration(narration.voiceClip, narration.parsed.duration) || scene.duration };
+      });
+      const cues = [
+        ...current.subtitles.filter(sub => !narrated.has(sub.sceneId)),
+        ...scenes
+          .filter(scene => narrated.has(scene.id) && narrated.get(scene.id).parsed.text)
+          .map(scene => ({ sceneId: scene.id, text: narrated.get(scene.id).parsed.text, startTime: scene.startTime, endTime: scene.startTime + scene.duration })),
+      ];
+      recordHistory();
+      // New cues span their scene's old timing, so they fill it once refitted; other cues keep theirs
+      applyScenes(scenes, cues, current.videoSrc.images);
+    } catch (error) {
+      if (!isAbortError(error)) console.error("Narration generation failed:", error);
+    } finally {
+      setIsGenerating(false);
+      generationAbortRef.current = null;
+    }
+  };
+
+  /**
+   * Downloads the subtitles as a standalone file.
+   * @param {string} format - 'srt' or 'vtt'.
+   */
+  const handleDownloadSubtitles = (format) => {
+    const text = format === 'vtt' ? subtitlesToVtt(subtitles) : subtitlesToSrt(subtitles);
+    downloadBlob(new Blob([text], { type: format === 'vtt' ? 'text/vtt' : 'application/x-subrip' }), `subtitles${languageSuffix}.${format}`);
+  };
+
+  /**
+   * Imports an SRT or WebVTT file. The script is rewritten with one scene per cue, each lasting
+   * until the next cue starts, and an existing video with the same number of scenes is retimed to match.
+   * @param {File} file - The subtitle file.
+   */
+  const handleImportSubtitles = async (file) => {
+    try {
+      const cues = parseSubtitleFile(await file.text());
+      if (cues.length === 0) throw new Error('The file has no cues.');
+
+      // The first scene also covers any lead-in before the first cue
+      const durations = cues.map((cue, i) => {
+        const start = i === 0 ? 0 : cue.startTime;
+        const end = i < cues.length - 1 ? cues[i + 1].startTime : cue.endTime;
+        return Math.max(0.1, Math.round((end - start) * 100) / 100);
+      });
+
+      recordHistory();
+      setScript(editableScenesToScript(cues.map((cue, i) => ({
+        title: null,
+        body: cue.text.replace(/\[/g, '(').replace(/\]/g, ')'),
+        prompt: null,
+        duration: durations[i],
+      }))));
+
+      const cueCount = `${cues.length} cue${cues.length === 1 ? '' : 's'}`;
+      if (!videoSrc) {
+        // Without a video the cues are kept as they are, ready to edit and download
+        setSubtitles(cues.map(cue => ({ ...cue, sceneId: null })));
+        setSubtitleImportStatus({ tone: 'info', text: `Imported ${cueCount} into the script.` });
+      } else if (videoSrc.images.length === cues.length) {
+        const scenes = videoSrc.images.map((scene, i) => ({ ...scene, duration: durations[i] }));
+        const nextSubtitles = cues.map((cue, i) => ({ ...cue, sceneId: scenes[i].id }));
+        applyScenes(scenes, nextSubtitles, retimeScenes(scenes));
+        setSubtitleImportStatus({ tone: 'info', text: `Imported ${cueCount} and retimed the video to match.` });
+      } else {
+        setSubtitleImportStatus({
+          tone: 'warning',
+          text: `Imported ${cueCount} into the script, but the video has ${videoSrc.images.length} scenes, so it was left as it is. Generate again to apply the file.`,
+        });
+      }
+    } catch (error) {
+      console.error("Failed to import subtitles:", error);
+      setSubtitleImportStatus({ tone: 'error', text: `Could not import ${file.name}: ${error.message}` });
+    }
+  };
+
+  /**
+   * Edits one subtitle cue.
+   * @param {number} index - The cue's position in the subtitle list.
+   * @param {object} changes - Cue properties to change.
+   */
+  const handleSubtitleChange = (index, changes) => {
+    recordHistory('subtitle');
+    setSubtitles(prev => prev.map((sub, i) => i === index ? { ...sub, ...changes } : sub));
+  };
+
+  /**
+   * Deletes one subtitle cue.
+   * @param {number} index - The cue's position in the subtitle list.
+   */
+  const handleDeleteSubtitle = (index) => {
+    recordHistory();
+    setSubtitles(prev => prev.filter((_, i) => i !== index));
+  };
+
+  /**
+   * Updates the caption style.
+   * @param {object} changes - Style properties to change.
+   */
+  const handleCaptionStyleChange = (changes) => {
+    setCaptionStyle(prev => ({ ...prev, ...changes }));
+  };
+
+  /**
+   * Updates the project's visual style.
+   * @param {object} changes - Style properties to change.
+   */
+  const handleVisualStyleChange = (changes) => {
+    setVisualStyle(prev => ({ ...prev, ...changes }));
+  };
+
+  /**
+   * Adds an empty character or location to the cast.
+   */
+  const handleAddCastMember = () => {
+    setVisualStyle(prev => ({ ...prev, cast: [...prev.cast, { id: `cast_${Date.now()}`, kind: 'character', name: '', description: '' }] }));
+  };
+
+  /**
+   * Edits a cast member.
+   * @param {string} id - The cast member ID.
+   * @param {object} changes - Properties to change.
+   */
+  const handleCastChange = (id, changes) => {
+    setVisualStyle(prev => ({ ...prev, cast: prev.cast.map(member => member.id === id ? { ...member, ...changes } : member) }));
+  };
+
+  /**
+   * Removes a cast member.
+   * @param {string} id - The cast member ID.
+   */
+  const handleDeleteCastMember = (id) => {
+    setVisualStyle(prev => ({ ...prev, cast: prev.cast.filter(member => member.id !== id) }));
+  };
+
+  /**
+   * Captures the current editor state as a project document.
+   * @returns {object} The serialized project.
+   */
+  const collectProject = () => serializeProject({
+    id: projectId,
+    name: projectName,
+    createdAt: projectCreatedAt,
+    script,
+    selectedVoice,
+    speakerVoices,
+    splitSettings,
+    visualStyle,
+    videoFormat,
+    captionStyle,
+    scenes: videoSrc ? videoSrc.images : [],
+    subtitles,
+    musicUrl: backgroundMusicUrl,
+    musicSettings,
+    soundEffects,
+    sfxLibrary,
+    sfxRules,
+    languageTracks,
+  });
+
+  /**
+   * Replaces the editor state with a project document.
+   * @param {object} project - The project to open.
+   */
+  const openProject = async (project) => {
+    const loaded = await deserializeProject(project);
+    if (videoSrc) URL.revokeObjectURL(videoSrc.audio);
+
+    setProjectId(loaded.id);
+    setHistory({ past: [], future: [] });
+    setProjectName(loaded.name);
+    setProjectCreatedAt(loaded.createdAt);
+    setScript(loaded.script);
+    setSelectedVoice(loaded.selectedVoice);
+    setSpeakerVoices(loaded.speakerVoices || {});
+    setSplitSettings({ ...defaultSplitSettings, ...loaded.splitSettings });
+    setVisualStyle({ ...defaultVisualStyle, ...loaded.visualStyle });
+    setVideoFormat({ ...defaultVideoFormat, ...loaded.videoFormat });
+    setCaptionStyle({ ...defaultCaptionStyle, ...loaded.captionStyle });
+    setSelectedClip(null);
+    setPlayedEffects([]);
+    setPlaybackTime(0);
+    setSubtitles(loaded.subtitles);
+    setBackgroundMusicUrl(loaded.music);
+    setMusicSettings({ ...defaultMusicSettings, ...loaded.musicSettings });
+    setSoundEffects(loaded.soundEffects);
+    setSfxLibrary(loaded.sfxLibrary || defaultSfxLibrary);
+    setSfxRules(loaded.sfxRules || defaultSfxRules);
+    setLanguageTracks(loaded.languageTracks);
+    setSelectedEffectId(null);
+    setGenerationJobs([]);
+    setLastSavedAt(loaded.updatedAt);
+
+    if (loaded.scenes.length > 0) {
+      const audioUrl = URL.createObjectURL(buildVoiceOverTrack(loaded.scenes));
+      setVideoSrc({ audio: audioUrl, images: loaded.scenes });
+    } else {
+      setVideoSrc(null);
+    }
+    localStorage.setItem(LAST_PROJECT_KEY, loaded.id);
+  };
+
+  /**
+   * Refreshes the list of projects saved in browser storage.
+   */
+  const refreshSavedProjects = async () => {
+    try {
+      setSavedProjects(await listStoredProjects());
+    } catch (error) {
+      console.error("Failed to list saved projects:", error);
+    }
+  };
 
-  // Gemini API key. This will be automatically provided by the Canvas environment.
-  const apiKey = "";
-
-  // Mock list of available voices from a free library
-  const voiceLibrary = [
-    { id: 'Kore', name: 'Kore (Firm)' },
-    { id: 'Puck', name: 'Puck (Upbeat)' },
-    { id: 'Zephyr', name: 'Zephyr (Bright)' },
-    { id: 'Charon', name: 'Charon (Informative)' },
-    { id: 'Fenrir', name: 'Fenrir (Excitable)' },
-    { id: 'Leda', name: 'Leda (Youthful)' },
-    { id: 'Orus', name: 'Orus (Firm)' },
-    { id: 'Aoede', name: 'Aoede (Breezy)' },
-  ];
+  /**
+   * Starts a new, empty project. The current project stays in the saved list.
+   */
+  const handleNewProject = () => {
+    if (isGenerating) return;
+    if (videoSrc) URL.revokeObjectURL(videoSrc.audio);
+    setProjectId(`project_${Date.now()}`);
+    setHistory({ past: [], future: [] });
+    setProjectName('Untitled Project');
+    setProjectCreatedAt(new Date().toISOString());
+    setScript('');
+    setSpeakerVoices({});
+    setVisualStyle(defaultVisualStyle);
+    setVideoFormat(defaultVideoFormat);
+    setCaptionStyle(defaultCaptionStyle);
+    setSubtitles([]);
+    setVideoSrc(null);
+    setBackgroundMusicUrl(null);
+    setMusicSettings(defaultMusicSettings);
+    setSoundEffects([]);
+    setLanguageTracks([]);
+    setSelectedEffectId(null);
+    setGenerationJobs([]);
+    setPlayedEffects([]);
+    setSelectedClip(null);
+    setPlaybackTime(0);
+    setLastSavedAt(null);
+  };
 
   /**
-   * Helper function to convert base64 audio data to a WAV Blob.
-   * The Gemini TTS API returns raw PCM data, which needs a WAV header to be played.
-   * @param {string} base64Data - Base64 encoded audio data.
-   * @param {number} sampleRate - The sample rate of the audio (e.g., 16000).
-   * @returns {Blob} A Blob object containing the WAV audio.
+   * Opens a project from browser storage.
    */
-  const pcmToWav = (base64Data, sampleRate) => {
-    const audioData = atob(base64Data);
-    const buffer = new ArrayBuffer(audioData.length);
-    const view = new DataView(buffer);
-    for (let i = 0; i < audioData.length; i++) {
-      view.setUint8(i, audioData.charCodeAt(i));
+  const handleOpenProject = async (id) => {
+    if (isGenerating) return;
+    try {
+      const project = await getStoredProject(id);
+      if (!project) throw new Error(`Project ${id} no longer exists.`);
+      await openProject(project);
+      setShowProjects(false);
+    } catch (error) {
+      console.error("Failed to open project:", error);
     }
+  };
 
-    const wavData = new Uint8Array(44 + buffer.byteLength);
-    const dv = new DataView(wavData.buffer);
-
-    // RIFF header
-    dv.setUint32(0, 0x52494646, false); // "RIFF"
-    dv.setUint32(4, 36 + buffer.byteLength, true); // Chunk size
-    dv.setUint32(8, 0x57415645, false); // "WAVE"
-
-    // fmt sub-chunk
-    dv.setUint32(12, 0x666d7420, false); // "fmt "
-    dv.setUint32(16, 16, true); // Sub-chunk size
-    dv.setUint16(20, 1, true); // Audio format (1 for PCM)
-    dv.setUint16(22, 1, true); // Number of channels
-    dv.setUint32(24, sampleRate, true); // Sample rate
-    dv.setUint32(28, sampleRate * 2, true); // Byte rate
-    dv.setUint16(32, 2, true); // Block align
-    dv.setUint16(34, 16, true); // Bits per sample
-
-    // data sub-chunk
-    dv.setUint32(36, 0x64617461, false); // "data"
-    dv.setUint32(40, buffer.byteLength, true); // Sub-chunk size
-
-    // Copy the PCM data
-    for (let i = 0; i < buffer.byteLength; i++) {
-      wavData[44 + i] = view.getUint8(i);
+  /**
+   * Deletes a project from browser storage.
+   */
+  const handleDeleteProject = async (id) => {
+    try {
+      await deleteStoredProject(id);
+      await refreshSavedProjects();
+    } catch (error) {
+      console.error("Failed to delete project:", error);
     }
+  };
 
-    return new Blob([wavData], { type: 'audio/wav' });
+  /**
+   * Refreshes the list of generated assets in the cache.
+   */
+  const refreshCachedAssets = async () => {
+    try {
+      setCachedAssets(await listCachedAssets());
+    } catch (error) {
+      console.error("Failed to list cached assets:", error);
+    }
   };
 
   /**
-   * Fetches an image from the Gemini Image Generation API.
-   * @param {string} prompt - The prompt for the image.
-   * @returns {string} The base64 data URL of the generated image.
+   * Removes one generated asset from the cache, so its scene is generated again next time.
    */
-  const generateImage = async (prompt) => {
-    const url = `https://generativelanguage.googleapis.com/v1beta/models/imagen-3.0-generate-002:predict?key=${apiKey}`;
-    const payload = { instances: { prompt: prompt }, parameters: { "sampleCount": 1 } };
+  const handleDeleteCachedAsset = async (key) => {
+    try {
+      await deleteCachedAsset(key);
+      await refreshCachedAssets();
+    } catch (error) {
+      console.error("Failed to delete cached asset:", error);
+    }
+  };
 
+  /**
+   * Empties the generated asset cache. Projects keep their own copies of their media.
+   */
+  const handleClearCache = async () => {
     try {
-      const response = await fetch(url, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify(payload)
-      });
-      const result = await response.json();
-      if (result.predictions && result.predictions.length > 0 && result.predictions[0].bytesBase64Encoded) {
-        return `data:image/png;base64,${result.predictions[0].bytesBase64Encoded}`;
-      } else {
-        console.error("Failed to generate image:", result);
-        return 'https://placehold.co/640x360/cc0000/ffffff?text=Error';
-      }
+      await clearAssetCache();
+      await refreshCachedAssets();
     } catch (error) {
-      console.error("Error generating image:", error);
-      return 'https://placehold.co/640x360/cc0000/ffffff?text=Error';
+      console.error("Failed to clear the asset cache:", error);
     }
   };
 
   /**
-   * Fetches a TTS audio track from the Gemini TTS API.
-   * @param {string} text - The text to convert to speech.
-   * @param {string} voiceName - The voice to use.
-   * @returns {string} The URL of the generated WAV audio blob.
+   * Downloads the current project, including all generated media, as a single file.
    */
-  const generateAudio = async (text, voiceName) => {
-    const url = `https://generativelanguage.googleapis.com/v1beta/models/gemini-2.5-flash-preview-tts:generateContent?key=${apiKey}`;
-    const payload = {
-        contents: [{ parts: [{ text: text }] }],
-        generationConfig: {
-            responseModalities: ["AUDIO"],
-            speechConfig: {
-                voiceConfig: { prebuiltVoiceConfig: { voiceName: voiceName } }
-            }
-        },
-    };
+  const handleExportProject = async () => {
+    try {
+      const project = await collectProject();
+      const fileName = projectName.trim().replace(/[^a-z0-9]+/gi, '-').toLowerCase() || 'project';
+      downloadBlob(new Blob([JSON.stringify(project)], { type: 'application/json' }), `${fileName}.video-project.json`);
+    } catch (error) {
+      console.error("Failed to export project:", error);
+    }
+  };
 
+  /**
+   * Opens a project file handed over by a teammate.
+   */
+  const handleImportProject = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file || isGenerating) return;
     try {
-      const response = await fetch(url, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify(payload)
-      });
-      const result = await response.json();
-      const part = result?.candidates?.[0]?.content?.parts?.[0];
-      const audioData = part?.inlineData?.data;
-      const mimeType = part?.inlineData?.mimeType;
-
-      if (audioData && mimeType && mimeType.startsWith("audio/")) {
-        const sampleRate = parseInt(mimeType.match(/rate=(\d+)/)[1], 10);
-        const wavBlob = pcmToWav(audioData, sampleRate);
-        return URL.createObjectURL(wavBlob);
-      } else {
-        console.error("Failed to generate audio:", result);
-        return null;
-      }
+      await openProject(JSON.parse(await file.text()));
+      setShowProjects(false);
     } catch (error) {
-      console.error("Error generating audio:", error);
-      return null;
+      console.error("Failed to import project:", error);
     }
   };
 
   /**
-   * Simulates generating background music using a Gemini text prompt.
+   * Uses an uploaded audio file as the background music.
    */
-  const generateBackgroundMusic = async () => {
-    const mockAudioUrl = 'https://placehold.co/1x1.mp3';
-    return new Promise(resolve => setTimeout(() => resolve(mockAudioUrl), 1000));
+  const handleMusicUpload = (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    setBackgroundMusicUrl(URL.createObjectURL(file));
+    setMusicSettings(prev => ({ ...prev, startOffset: 0 }));
   };
 
   /**
-   * Simulates generating sound effects for the video.
+   * Generates a new background music track for the script with the selected music provider.
    */
-  const generateSoundEffects = async (script) => {
-    const effects = [];
-    if (script.includes("future")) {
-      effects.push({ id: 'sfx_whoosh', name: 'Whoosh', src: 'https://placehold.co/1x1.mp3', startTime: 1 });
-    }
-    if (script.includes("seconds")) {
-      effects.push({ id: 'sfx_click', name: 'Click', src: 'https://placehold.co/1x1.mp3', startTime: 5 });
+  const handleGenerateMusic = async () => {
+    if (isGeneratingMusic) return;
+    setIsGeneratingMusic(true);
+    const musicUrl = await generateBackgroundMusic(script, undefined, { refresh: true });
+    if (musicUrl) {
+      setBackgroundMusicUrl(musicUrl);
+      setMusicSettings(prev => ({ ...prev, startOffset: 0 }));
     }
-    return new Promise(resolve => setTimeout(() => resolve(effects), 1000));
+    setIsGeneratingMusic(false);
   };
-  
+
   /**
-   * Orchestrates the entire automated video generation process.
+   * Updates one background music setting.
    */
-  const handleGenerateVideo = async () => {
-    if (isGenerating) return;
-    setIsGenerating(true);
-    setTimelineItems([]);
-    setSubtitles([]);
-    setVideoSrc(null);
-    setProgress(0);
-    setSelectedClip(null);
+  const handleMusicSettingChange = (key, value) => {
+    setMusicSettings(prev => ({ ...prev, [key]: value }));
+  };
+
+  /**
+   * Re-places every sound effect on the timeline from the current rules.
+   */
+  const handleApplySfxRules = async () => {
+    if (!videoSrc) return;
+    const { library, effects } = await generateSoundEffects(videoSrc.images, subtitles);
+    // Hand-placed effects are replaced too, so keep the old placement one undo away
+    recordHistory();
+    setSfxLibrary(library);
+    setSoundEffects(effects);
     setPlayedEffects([]);
+    setSelectedEffectId(null);
+  };
 
-    try {
-      // Step 1: Generate audio
-      setProgress(15);
-      const audioUrl = await generateAudio(script, selectedVoice);
-      if (!audioUrl) {
-        throw new Error("Failed to generate audio.");
-      }
+  /**
+   * Adds uploaded audio files to the sound effect library.
+   */
+  const handleSfxUpload = (e) => {
+    const files = [...e.target.files];
+    e.target.value = '';
+    setSfxLibrary(prev => [
+      ...prev,
+      ...files.map(file => ({ id: `lib_${Date.now()}_${Math.random()}`, name: file.name.replace(/\.[^.]+$/, ''), src: URL.createObjectURL(file) })),
+    ]);
+  };
 
-      const sentences = script.split(/[.!?]\s/).filter(s => s.trim().length > 0);
-
-      // Step 2: Generate images and wait for them to load
-      setProgress(40);
-      const imageAssets = [];
-      const imagePromises = sentences.map(async (prompt, index) => {
-        const imageUrl = await generateImage(prompt);
-        return new Promise((resolve) => {
-          const img = new Image();
-          img.onload = () => {
-            const duration = 5;
-            const start = sentences.slice(0, index).reduce((sum, _, i) => sum + 5, 0);
-            imageAssets.push({ id: `img_${Date.now()}_${Math.random()}`, prompt: prompt, type: 'video', name: prompt.substring(0, 20) + '...', src: imageUrl, duration: duration, imgObject: img, startTime: start });
-            resolve();
-          };
-          img.onerror = () => {
-            console.error(`Failed to load image for prompt: ${prompt}`);
-            resolve();
-          };
-          img.src = imageUrl;
-        });
-      });
-      await Promise.all(imagePromises);
+  /**
+   * Generates audio for a library entry that does not have any yet.
+   */
+  const handleGenerateLibraryEffect = async (entryId) => {
+    const entry = sfxLibrary.find(e => e.id === entryId);
+    const src = await generateSoundEffect(entry.name);
+    if (src) setSfxLibrary(prev => prev.map(e => e.id === entryId ? { ...e, src } : e));
+  };
 
-      // Sort images by their start time
-      imageAssets.sort((a, b) => a.startTime - b.startTime);
+  /**
+   * Removes an effect from the library, along with the rules that use it.
+   */
+  const handleDeleteLibraryEffect = (entryId) => {
+    setSfxLibrary(prev => prev.filter(e => e.id !== entryId));
+    setSfxRules(prev => prev.filter(rule => rule.effectId !== entryId));
+  };
 
-      // Step 3: Generate music and sound effects (mock)
-      setProgress(60);
-      const musicUrl = await generateBackgroundMusic();
-      const effects = await generateSoundEffects(script);
+  /**
+   * Adds a new keyword rule for the first library effect.
+   */
+  const handleAddSfxRule = () => {
+    setSfxRules(prev => [
+      ...prev,
+      { id: `rule_${Date.now()}`, trigger: 'keyword', pattern: '', effectId: sfxLibrary.length > 0 ? sfxLibrary[0].id : '', volume: 1, offset: 0 },
+    ]);
+  };
 
-      // Step 4: Update state for timeline and preview
-      setProgress(85);
-      const audioItem = { id: `audio_${Date.now()}`, type: 'audio', name: 'Generated Voice-over', src: audioUrl };
-      setTimelineItems([...imageAssets, audioItem]);
-      setVideoSrc({ audio: audioUrl, images: imageAssets });
-      setBackgroundMusicUrl(musicUrl);
-      setSoundEffects(effects);
+  /**
+   * Updates one field of a sound effect rule.
+   */
+  const handleSfxRuleChange = (ruleId, key, value) => {
+    setSfxRules(prev => prev.map(rule => rule.id === ruleId ? { ...rule, [key]: value } : rule));
+  };
 
-      // Create subtitle data
-      let currentTime = 0;
-      const subtitleData = sentences.map((text, index) => {
-        const duration = (imageAssets[index] && imageAssets[index].duration) || 5;
-        const subtitle = { text, startTime: currentTime, endTime: currentTime + duration };
-        currentTime += duration;
-        return subtitle;
-      });
-      setSubtitles(subtitleData);
+  /**
+   * Updates a placed sound effect, e.g. after dragging it on the timeline.
+   */
+  const handleEffectChange = (effectId, changes) => {
+    setSoundEffects(prev => prev
+      .map(sfx => {
+        if (sfx.id !== effectId) return sfx;
+        const updated = { ...sfx, ...changes };
+        // Moving an anchored effect keeps it anchored, at the new distance from its word
+        if (sfx.anchor && changes.startTime !== undefined) {
+          updated.anchor = { ...sfx.anchor, offset: sfx.anchor.offset + changes.startTime - sfx.startTime };
+        }
+        return updated;
+      })
+      .sort((a, b) => a.startTime - b.startTime));
+  };
 
-      // Final progress update and state reset
-      setProgress(100);
-      setTimeout(() => {
-        setIsGenerating(false);
-      }, 500);
+  /**
+   * Removes a placed sound effect from the timeline.
+   */
+  const handleDeleteEffect = (effectId) => {
+    setSoundEffects(prev => prev.filter(sfx => sfx.id !== effectId));
+    setSelectedEffectId(null);
+  };
 
-    } catch (error) {
-      console.error("Video generation failed:", error);
-      setIsGenerating(false);
-      setProgress(0);
+  /**
+   * Changes a scene's duration. Every following scene shifts to keep the timeline gapless.
+   */
+  const handleResizeScene = (sceneId, duration) => {
+    updateScenes(videoSrc.images.map(image =>
+      image.id === sceneId ? { ...image, duration } : image
+    ));
+  };
+
+  /**
+   * Handles manual timing adjustments.
+   */
+  const handleTimingChange = (e) => {
+    const newDuration = parseFloat(e.target.value);
+    if (!isNaN(newDuration) && newDuration > 0) {
+      handleResizeScene(selectedClip.id, newDuration);
     }
   };
 
   /**
-   * Handles downloading the assets as a single ZIP file.
+   * Handles dragging a scene to a new position on the timeline.
    */
-  const handleDownloadAssets = async () => {
-    if (!jszipLoaded || !videoSrc || isDownloading) return;
+  const handleMoveScene = (fromIndex, toIndex) => {
+    updateScenes(moveScene(videoSrc.images, fromIndex, toIndex));
+  };
 
-    setIsDownloading(true);
+  /**
+   * Splits the selected scene at the playhead, or in the middle if the playhead is outside it.
+   */
+  const handleSplitScene = () => {
+    const scene = videoSrc.images.find(image => image.id === selectedClip.id);
+    const playheadOffset = playbackTime - scene.startTime;
+    const offset = playheadOffset >= 0.1 && playheadOffset <= scene.duration - 0.1
+      ? Math.round(playheadOffset * 10) / 10
+      : Math.round(scene.duration * 5) / 10;
+    if (offset < 0.1 || offset > scene.duration - 0.1) return;
+
+    const result = splitScene(videoSrc.images, subtitles, scene.id, offset);
+    updateScenes(result.scenes, result.subtitles);
+  };
+
+  /**
+   * Remembers the object URLs of uploaded media, so they can be released once no scene uses them.
+   * @param {object} media - Scene fields from `loadMediaFile`.
+   */
+  const trackMediaUrls = (media) => {
+    if (media.src.startsWith('blob:')) mediaUrlsRef.current.add(media.src);
+    if (media.clip) mediaUrlsRef.current.add(media.clip.src);
+  };
 
+  /**
+   * Inserts a copy of the selected scene right after it.
+   */
+  const handleDuplicateScene = () => {
+    const result = duplicateScene(videoSrc.images, subtitles, selectedClip.id);
+    updateScenes(result.scenes, result.subtitles);
+  };
+
+  /**
+   * Removes the selected scene and closes the gap it leaves.
+   */
+  const handleDeleteScene = () => {
+    const result = deleteScene(videoSrc.images, subtitles, selectedClip.id);
+    updateScenes(result.scenes, result.subtitles);
+    setSelectedClip(null);
+  };
+
+  /**
+   * Replaces a scene's picture with an uploaded image or video clip. Video clips are trimmed to the scene's length.
+   * @param {string} sceneId - The scene to change.
+   * @param {File} file - An image or video file.
+   */
+  const handleReplaceSceneMedia = async (sceneId, file) => {
+    let media;
     try {
-      const zip = new window.JSZip();
+      media = await loadMediaFile(file);
+    } catch (error) {
+      console.error("Failed to load media:", error);
+      return;
+    }
 
-      // Fetch and add audio file to zip
-      const audioBlob = await fetch(videoSrc.audio).then(r => r.blob());
-      zip.file("voice-over.wav", audioBlob);
+    trackMediaUrls(media);
+    recordHistory();
+    // Uploaded images join the version history so generated versions stay one click away
+    const update = (image) => ({
+      ...image,
+      ...media,
+      versions: media.clip ? image.versions : [...(image.versions || [image.src]), media.src],
+    });
+    setVideoSrc(prev => prev && ({
+      ...prev,
+      images: prev.images.map(image => image.id === sceneId ? update(image) : image),
+    }));
+    setSelectedClip(prev => prev && prev.id === sceneId ? update(prev) : prev);
+  };
 
-      // Fetch and add image files to zip
-      for (let i = 0; i < videoSrc.images.length; i++) {
-        const image = videoSrc.images[i];
-        const response = await fetch(image.src);
-        const imageBlob = await response.blob();
-        zip.file(`image_${String(i + 1).padStart(3, '0')}.png`, imageBlob);
+  /**
+   * Adds uploaded images and video clips to the end of the timeline as new scenes.
+   * Images get a fixed length and video clips play in full.
+   * @param {FileList|Array} files - Image or video files.
+   */
+  const handleAddMediaScenes = async (files) => {
+    const added = [];
+    for (const file of files) {
+      try {
+        const media = await loadMediaFile(file);
+        added.push({
+          id: `img_${Date.now()}_${Math.random()}`,
+          prompt: '',
+          type: 'video',
+          name: file.name.replace(/\.[^.]+$/, ''),
+          ...media,
+          versions: media.clip ? [] : [media.src],
+          motion: defaultMotion,
+          transition: defaultTransition,
+          focus: defaultFocus,
+          duration: media.clip ? Math.max(0.1, Math.floor(media.clip.duration * 10) / 10) : UPLOADED_IMAGE_SECONDS,
+          startTime: 0,
+          voiceClip: null,
+        });
+      } catch (error) {
+        console.error("Failed to load media:", error);
       }
+    }
+    if (added.length > 0) {
+      added.forEach(trackMediaUrls);
+      updateScenes([...(latestRef.current.videoSrc ? latestRef.current.videoSrc.images : []), ...added]);
+    }
+  };
 
-      // Generate the zip file and trigger download
-      const content = await zip.generateAsync({ type: "blob" });
-      const url = URL.createObjectURL(content);
-      const link = document.createElement('a');
-      link.href = url;
-      link.download = 'my-video-assets.zip';
-      document.body.appendChild(link);
-      link.click();
-      document.body.removeChild(link);
-      URL.revokeObjectURL(url);
+  /**
+   * Uses an uploaded or recorded voice-over instead of generated narration, either for one scene or
+   * for the whole video. Scenes grow to fit longer narration.
+   * @param {Blob} blob - The audio file.
+   * @param {string} target - A scene id, or 'all' to cut the voice-over at the scene boundaries.
+   */
+  const handleNarrationFile = async (blob, target) => {
+    if (!videoSrc) return;
+    let clip;
+    try {
+      const voiced = videoSrc.images.find(scene => scene.voiceClip);
+      clip = await decodeNarrationClip(blob, voiced ? voiced.voiceClip.sampleRate : LOCAL_SAMPLE_RATE);
     } catch (error) {
-      console.error("Failed to generate zip file:", error);
-    } finally {
-      setIsDownloading(false);
+      console.error("Failed to decode narration:", error);
+      return;
+    }
+
+    const fit = (duration, seconds) => Math.max(duration, Math.ceil(seconds * 10) / 10);
+    if (target === 'all') {
+      const clips = splitClipAtScenes(clip, videoSrc.images);
+      const last = clips.length - 1;
+      updateScenes(videoSrc.images.map((scene, i) => ({
+        ...scene,
+        voiceClip: clips[i],
+        duration: i === last && clips[i] ? fit(scene.duration, getClipDuration(clips[i])) : scene.duration,
+      })));
+    } else {
+      updateScenes(videoSrc.images.map(scene => scene.id === target
+        ? { ...scene, voiceClip: clip, duration: fit(scene.duration, getClipDuration(clip) + SCENE_PADDING_SECONDS) }
+        : scene));
     }
   };
+  narrationHandlerRef.current = handleNarrationFile;
 
   /**
-   * Handles manual timing adjustments.
+   * Starts recording narration from the microphone, or stops the recording in progress and uses it.
+   * @param {string} target - A scene id, or 'all' for the whole video.
    */
-  const handleTimingChange = (e) => {
-    const newDuration = parseInt(e.target.value, 10);
-    if (!isNaN(newDuration) && newDuration > 0) {
-      setTimelineItems(items => items.map(item =>
-        item.id === selectedClip.id ? { ...item, duration: newDuration } : item
-      ));
-      setSelectedClip(prev => ({ ...prev, duration: newDuration }));
+  const handleToggleRecording = async (target) => {
+    if (recorderRef.current) {
+      recorderRef.current.stop();
+      return;
+    }
+    try {
+      const stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+      const recorder = new MediaRecorder(stream);
+      const chunks = [];
+      recorder.ondataavailable = (e) => {
+        if (e.data.size > 0) chunks.push(e.data);
+      };
+      recorder.onstop = () => {
+        stream.getTracks().forEach(track => track.stop());
+        recorderRef.current = null;
+        setRecordingTarget(null);
+        // The scenes may have changed while recording, so use the current handler
+        narrationHandlerRef.current(new Blob(chunks, { type: recorder.mimeType }), target);
+      };
+      recorder.start();
+      recorderRef.current = recorder;
+      setRecordingTarget(target);
+    } catch (error) {
+      console.error("Could not start recording:", error);
     }
   };
 
+  /**
+   * Moves the preview playhead.
+   */
+  const handleSeek = (time) => {
+    setPlaybackTime(time);
+    if (audioRef.current) audioRef.current.currentTime = time;
+  };
+
   /**
    * Handles swapping a clip for a new one.
    */
@@ -321,16 +3321,74 @@ const App = () => {
     const originalSelectedClip = selectedClip;
     setSelectedClip(prev => ({ ...prev, isSwapping: true }));
 
-    const newImageUrl = await generateImage(originalSelectedClip.prompt);
+    let newImageUrl;
+    try {
+      // A new variation, kept in the cache as the scene's image
+      const request = applyVisualStyle(originalSelectedClip.prompt, getSceneText(originalSelectedClip.id, subtitles), visualStyle);
+      newImageUrl = await generateImage(request, undefined, { variation: true });
+    } catch (error) {
+      console.error("Error generating image:", error);
+      setSelectedClip(prev => prev && ({ ...prev, isSwapping: false }));
+      return;
+    }
+    const imgObject = await loadImage(newImageUrl);
 
-    setTimelineItems(items => items.map(item =>
-      item.id === originalSelectedClip.id ? { ...item, src: newImageUrl } : item
-    ));
+    recordHistory();
+    setVideoSrc(prev => prev && ({
+      ...prev,
+      images: prev.images.map(image =>
+        image.id === originalSelectedClip.id
+          ? { ...image, src: newImageUrl, imgObject, clip: null, clipVideo: null, versions: [...(image.versions || [image.src]), newImageUrl] }
+          : image
+      ),
+    }));
     setSelectedClip(null);
   };
 
   /**
-   * Effect hook to synchronize subtitles and images with audio playback.
+   * Updates the selected scene's motion or transition settings. Slider drags are undone as one step.
+   * @param {object} changes - Scene properties to change.
+   * @param {string} kind - The kind of edit, used to merge bursts of slider changes.
+   */
+  const handleSceneSettingsChange = (changes, kind = 'edit') => {
+    const sceneId = selectedClip.id;
+    recordHistory(kind);
+    setVideoSrc(prev => prev && ({
+      ...prev,
+      images: prev.images.map(image => image.id === sceneId ? { ...image, ...changes } : image),
+    }));
+    setSelectedClip(prev => prev && prev.id === sceneId ? { ...prev, ...changes } : prev);
+  };
+
+  /**
+   * Updates one framing value (zoom, x or y) at the start or end of the selected scene's motion.
+   */
+  const handleFramingChange = (edge, key, value) => {
+    const motion = selectedClip.motion || defaultMotion;
+    handleSceneSettingsChange({ motion: { ...motion, [edge]: { ...motion[edge], [key]: value } } }, 'motion');
+  };
+
+  /**
+   * Switches the selected scene back to one of its earlier images, replacing any video clip.
+   * The chosen image becomes the cached image for the scene's prompt.
+   */
+  const handleSelectVersion = async (src) => {
+    const sceneId = selectedClip.id;
+    const { cacheRequest, fullPrompt } = prepareImageRequest(applyVisualStyle(selectedClip.prompt, getSceneText(sceneId, subtitles), visualStyle));
+    const imgObject = await loadImage(src);
+    cacheAsset(cacheRequest, fullPrompt, src);
+
+    recordHistory();
+    setVideoSrc(prev => prev && ({
+      ...prev,
+      images: prev.images.map(image => image.id === sceneId ? { ...image, src, imgObject, clip: null, clipVideo: null } : image),
+    }));
+    setSelectedClip(prev => prev && prev.id === sceneId ? { ...prev, src, imgObject, clip: null, clipVideo: null } : prev);
+  };
+
+  /**
+   * Effect hook that renders the preview frame by frame while the voice-over plays,
+   * and keeps subtitles and sound effects in sync with it.
    */
   useEffect(() => {
     const audioEl = audioRef.current;
@@ -338,32 +3396,32 @@ const App = () => {
 
     const canvas = videoRef.current;
     const ctx = canvas.getContext('2d');
-    const handleTimeUpdate = () => {
-      const currentTime = audioEl.currentTime;
+    const captions = captionStyle.enabled ? buildCaptionCards(subtitles, videoSrc.images, captionStyle, previewLayout) : [];
+    let frameId = null;
+    let lastUiUpdate = 0;
 
-      // Update Subtitles
-      const activeSubtitle = subtitles.find(
-        (sub) => currentTime >= sub.startTime && currentTime < sub.endTime
-      );
-      setCurrentSubtitle(activeSubtitle ? activeSubtitle.text : '');
+    const renderFrame = () => {
+      const currentTime = audioEl.currentTime;
 
-      // Update Images on Canvas
-      const activeImage = videoSrc.images.find(
-        (image) => currentTime >= image.startTime && currentTime < image.startTime + image.duration
-      );
+      // Update images, video clips and captions on the canvas
+      syncSceneClips(videoSrc.images, currentTime, !audioEl.paused);
+      drawVideoFrame(ctx, { width: canvas.width, height: canvas.height, layout: previewLayout, time: currentTime, images: videoSrc.images, captions, captionStyle });
 
-      if (activeImage && activeImage.imgObject) {
-        ctx.drawImage(activeImage.imgObject, 0, 0, canvas.width, canvas.height);
-      } else {
-        ctx.fillStyle = 'black';
-        ctx.fillRect(0, 0, canvas.width, canvas.height);
+      // Update the playhead a few times per second; the canvas itself redraws every frame
+      const now = performance.now();
+      if (audioEl.paused || now - lastUiUpdate > 100) {
+        lastUiUpdate = now;
+        setPlaybackTime(currentTime);
       }
 
-      // Play Sound Effects
+      // Play Sound Effects that the playhead has just reached
+      if (audioEl.paused) return;
       soundEffects.forEach(sfx => {
-        if (currentTime >= sfx.startTime && !playedEffects.includes(sfx.id)) {
+        if (currentTime >= sfx.startTime && currentTime - sfx.startTime < 0.5 && !playedEffects.includes(sfx.id)) {
           const sfxAudio = document.getElementById(sfx.id);
           if (sfxAudio) {
+            sfxAudio.volume = clamp(sfx.volume ?? 1, 0, 1);
+            sfxAudio.currentTime = 0;
             sfxAudio.play();
             setPlayedEffects(prev => [...prev, sfx.id]);
           }
@@ -371,13 +3429,220 @@ const App = () => {
       });
     };
 
-    audioEl.addEventListener('timeupdate', handleTimeUpdate);
+    const loop = () => {
+      renderFrame();
+      frameId = requestAnimationFrame(loop);
+    };
+    const handlePlay = () => {
+      cancelAnimationFrame(frameId);
+      loop();
+    };
+    const handleStop = () => {
+      cancelAnimationFrame(frameId);
+      renderFrame();
+    };
+    const handleSeeked = () => {
+      // Re-arm every effect at or after the new position, so seeking backwards plays them again
+      const currentTime = audioEl.currentTime;
+      setPlayedEffects(soundEffects.filter(sfx => sfx.startTime < currentTime).map(sfx => sfx.id));
+      if (audioEl.paused) renderFrame();
+    };
+
+    audioEl.addEventListener('play', handlePlay);
+    audioEl.addEventListener('pause', handleStop);
+    audioEl.addEventListener('ended', handleStop);
+    audioEl.addEventListener('seeked', handleSeeked);
+    audioEl.addEventListener('loadeddata', handleSeeked);
+    // A paused clip's new frame arrives after it finishes seeking
+    const clipVideos = videoSrc.images.map(scene => scene.clipVideo).filter(Boolean);
+    const handleClipSeeked = () => {
+      if (audioEl.paused) drawVideoFrame(ctx, { width: canvas.width, height: canvas.height, layout: previewLayout, time: audioEl.currentTime, images: videoSrc.images, captions, captionStyle });
+    };
+    clipVideos.forEach(video => video.addEventListener('seeked', handleClipSeeked));
+    if (audioEl.paused) {
+      renderFrame();
+    } else {
+      loop();
+    }
+
+    return () => {
+      cancelAnimationFrame(frameId);
+      audioEl.removeEventListener('play', handlePlay);
+      audioEl.removeEventListener('pause', handleStop);
+      audioEl.removeEventListener('ended', handleStop);
+      audioEl.removeEventListener('seeked', handleSeeked);
+      audioEl.removeEventListener('loadeddata', handleSeeked);
+      clipVideos.forEach(video => video.removeEventListener('seeked', handleClipSeeked));
+    };
+  }, [subtitles, videoSrc, soundEffects, playedEffects, videoFormat, captionStyle]);
+
+  // Effect hook that plays the background music in sync with the voice-over. The music has its own
+  // AudioContext, started and stopped as the voice-over's <audio> element plays, pauses and seeks.
+  useEffect(() => {
+    const audioEl = audioRef.current;
+    if (!audioEl || !videoSrc || !backgroundMusicUrl) return;
+
+    const music = musicRef.current;
+    let cancelled = false;
+
+    const stop = () => {
+      if (music.source) {
+        music.source.stop();
+        music.source.disconnect();
+        music.source = null;
+      }
+    };
+    const start = async () => {
+      stop();
+      if (!music.ctx) music.ctx = new AudioContext();
+      await music.ctx.resume();
+      if (music.url !== backgroundMusicUrl) {
+        music.url = backgroundMusicUrl;
+        music.buffer = await loadAudioBuffer(music.ctx, backgroundMusicUrl);
+        // Forget a track that failed to decode, so the next play tries it again
+        if (!music.buffer && music.url === backgroundMusicUrl) music.url = null;
+      }
+      if (cancelled || audioEl.paused || !music.buffer) return;
+
+      stop();
+      music.source = scheduleMusicTrack(music.ctx, music.ctx.destination, music.buffer, {
+        settings: musicSettings,
+        duration: getTimelineDuration(videoSrc.images),
+        speechIntervals: getSpeechIntervals(videoSrc.images),
+        when: music.ctx.currentTime,
+        position: audioEl.currentTime,
+      });
+    };
+    const handleSeeked = () => {
+      if (!audioEl.paused) start();
+    };
+
+    audioEl.addEventListener('play', start);
+    audioEl.addEventListener('pause', stop);
+    audioEl.addEventListener('ended', stop);
+    audioEl.addEventListener('seeked', handleSeeked);
+    if (!audioEl.paused) start();
+
+    return () => {
+      cancelled = true;
+      stop();
+      audioEl.removeEventListener('play', start);
+      audioEl.removeEventListener('pause', stop);
+      audioEl.removeEventListener('ended', stop);
+      audioEl.removeEventListener('seeked', handleSeeked);
+    };
+  }, [videoSrc, backgroundMusicUrl, musicSettings]);
+
+  // Effect hook to release uploaded media that was replaced or deleted and has dropped out of the undo history
+  useEffect(() => {
+    const inUse = new Set();
+    const collect = (scenes) => (scenes || []).forEach(scene => {
+      inUse.add(scene.src);
+      (scene.versions || []).forEach(src => inUse.add(src));
+      if (scene.clip) inUse.add(scene.clip.src);
+    });
+    collect(videoSrc && videoSrc.images);
+    [...history.past, ...history.future].forEach(snapshot => collect(snapshot.scenes));
+    mediaUrlsRef.current.forEach(url => {
+      if (inUse.has(url)) return;
+      URL.revokeObjectURL(url);
+      mediaUrlsRef.current.delete(url);
+    });
+  }, [videoSrc, history]);
+
+  // Effect hook for the undo/redo keyboard shortcuts (Ctrl+Z, Ctrl+Shift+Z and Ctrl+Y). Text fields keep
+  // the browser's own undo. The handlers read the current state through latestRef, so registering once is enough.
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (!(e.ctrlKey || e.metaKey)) return;
+      if (['INPUT', 'TEXTAREA', 'SELECT'].includes(e.target.tagName) || e.target.isContentEditable) return;
+      const key = e.key.toLowerCase();
+      if (key === 'z' && !e.shiftKey) {
+        e.preventDefault();
+        handleUndo();
+      } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+        e.preventDefault();
+        handleRedo();
+      }
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+
+    return () => {
+      window.removeEventListener('keydown', handleKeyDown);
+    };
+  }, []);
+
+  // Effect hook to reopen the last project after a reload
+  useEffect(() => {
+    const lastProjectId = localStorage.getItem(LAST_PROJECT_KEY);
+    if (!lastProjectId) {
+      setProjectReady(true);
+      return;
+    }
+    getStoredProject(lastProjectId)
+      .then(project => project ? openProject(project) : null)
+      .catch(error => console.error("Failed to restore the last project:", error))
+      .finally(() => setProjectReady(true));
+  }, []);
+
+  // Effect hook to autosave the project shortly after each edit
+  useEffect(() => {
+    if (!projectReady || isGenerating) return;
+    const timer = setTimeout(async () => {
+      try {
+        const project = await collectProject();
+        await saveStoredProject(project);
+        localStorage.setItem(LAST_PROJECT_KEY, project.id);
+        setLastSavedAt(project.updatedAt);
+      } catch (error) {
+        console.error("Autosave failed:", error);
+      }
+    }, AUTOSAVE_DELAY_MS);
+
+    return () => {
+      clearTimeout(timer);
+    };
+  }, [projectReady, isGenerating, projectId, projectName, script, selectedVoice, speakerVoices, splitSettings, visualStyle, videoFormat, captionStyle, videoSrc, subtitles, backgroundMusicUrl, musicSettings, soundEffects, sfxLibrary, sfxRules, languageTracks]);
+
+  // Effect hook to refresh the saved project list whenever the panel opens
+  useEffect(() => {
+    if (showProjects) refreshSavedProjects();
+  }, [showProjects]);
+
+  // Effect hook to refresh the cache contents while the settings panel is open, and after each generation run
+  useEffect(() => {
+    if (showSettings && !isGenerating) refreshCachedAssets();
+  }, [showSettings, isGenerating]);
+
+  // Effect hook to persist provider settings between sessions
+  useEffect(() => {
+    saveProviderSettings(providerSettings);
+  }, [providerSettings]);
+
+  // Effect hook to list the voices offered by the selected speech provider, once its settings stop changing
+  useEffect(() => {
+    let cancelled = false;
+    const timer = setTimeout(() => {
+      const { provider, config } = getProvider('speech');
+      provider.listVoices(config)
+        .then(list => {
+          if (cancelled) return;
+          setVoices(list);
+          setSelectedVoice(current => list.some(v => v.id === current) || list.length === 0 ? current : list[0].id);
+        })
+        .catch(error => {
+          console.error("Failed to list voices:", error);
+          if (!cancelled) setVoices([]);
+        });
+    }, VOICE_LIST_DELAY_MS);
 
     return () => {
-      audioEl.removeEventListener('timeupdate', handleTimeUpdate);
+      cancelled = true;
+      clearTimeout(timer);
     };
-  }, [subtitles, videoSrc, soundEffects, playedEffects]);
-  
+  }, [providerSettings.speech, providerSettings.configs[providerSettings.speech]?.endpoint, providerSettings.configs[providerSettings.speech]?.apiKey]);
+
   // Effect hook to load JSZip library
   useEffect(() => {
     const script = document.createElement('script');
@@ -391,7 +3656,27 @@ const App = () => {
     document.head.appendChild(script);
 
     return () => {
-      document.head.removeChild(script);
+      document.head.removeChild(script);
+    };
+  }, []);
+
+  // Effect hook to load the WebM and MP4 muxers used for fast video export
+  useEffect(() => {
+    const scripts = [
+      "https://cdn.jsdelivr.net/npm/webm-muxer@5.0.3/build/webm-muxer.js",
+      "https://cdn.jsdelivr.net/npm/mp4-muxer@5.1.3/build/mp4-muxer.js",
+    ].map(src => {
+      const script = document.createElement('script');
+      script.src = src;
+      script.onerror = () => {
+        console.warn(`Failed to load ${src}. Video export will fall back to real-time recording.`);
+      };
+      document.head.appendChild(script);
+      return script;
+    });
+
+    return () => {
+      scripts.forEach(script => document.head.removeChild(script));
     };
   }, []);
 
@@ -402,11 +3687,78 @@ const App = () => {
         <div className="flex gap-4">
           <button
             onClick={handleGenerateVideo}
-            disabled={isGenerating}
+            disabled={isGenerating || parsedScript.errors.length > 0}
+            title={parsedScript.errors.length > 0 ? 'Fix the script markup errors first' : undefined}
             className="bg-blue-600 hover:bg-blue-700 text-white font-semibold py-2 px-6 rounded-full transition-colors duration-200 shadow-md transform hover:scale-105 disabled:bg-gray-700 disabled:cursor-not-allowed"
           >
             {isGenerating ? 'Generating...' : 'Generate Video 🚀'}
           </button>
+          {isGenerating && (
+            <button
+              onClick={handleCancelGeneration}
+              className="bg-red-600 hover:bg-red-700 text-white font-semibold py-2 px-6 rounded-full transition-colors duration-200 shadow-md"
+            >
+              Cancel
+            </button>
+          )}
+          <button
+            onClick={handleUndo}
+            disabled={history.past.length === 0 || isGenerating}
+            title="Undo (Ctrl+Z)"
+            className="bg-gray-700 hover:bg-gray-600 text-white font-semibold py-2 px-4 rounded-full transition-colors duration-200 shadow-md disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            ↶ Undo
+          </button>
+          <button
+            onClick={handleRedo}
+            disabled={history.future.length === 0 || isGenerating}
+            title="Redo (Ctrl+Shift+Z)"
+            className="bg-gray-700 hover:bg-gray-600 text-white font-semibold py-2 px-4 rounded-full transition-colors duration-200 shadow-md disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            ↷ Redo
+          </button>
+          <button
+            onClick={() => setShowProjects(open => !open)}
+            className="bg-gray-700 hover:bg-gray-600 text-white font-semibold py-2 px-6 rounded-full transition-colors duration-200 shadow-md"
+          >
+            Projects 📁
+          </button>
+          <button
+            onClick={() => setShowSfxPanel(open => !open)}
+            className="bg-gray-700 hover:bg-gray-600 text-white font-semibold py-2 px-6 rounded-full transition-colors duration-200 shadow-md"
+          >
+            Sound FX 🔊
+          </button>
+          <button
+            onClick={() => setShowCaptionPanel(open => !open)}
+            className="bg-gray-700 hover:bg-gray-600 text-white font-semibold py-2 px-6 rounded-full transition-colors duration-200 shadow-md"
+          >
+            Captions 💬
+          </button>
+          <button
+            onClick={() => setShowSubtitleEditor(open => !open)}
+            className="bg-gray-700 hover:bg-gray-600 text-white font-semibold py-2 px-6 rounded-full transition-colors duration-200 shadow-md"
+          >
+            Subtitles 📝
+          </button>
+          <button
+            onClick={() => setShowLanguagePanel(open => !open)}
+            className="bg-gray-700 hover:bg-gray-600 text-white font-semibold py-2 px-6 rounded-full transition-colors duration-200 shadow-md"
+          >
+            Languages 🌐
+          </button>
+          <button
+            onClick={() => setShowStylePanel(open => !open)}
+            className="bg-gray-700 hover:bg-gray-600 text-white font-semibold py-2 px-6 rounded-full transition-colors duration-200 shadow-md"
+          >
+            Style 🎨
+          </button>
+          <button
+            onClick={() => setShowSettings(open => !open)}
+            className="bg-gray-700 hover:bg-gray-600 text-white font-semibold py-2 px-6 rounded-full transition-colors duration-200 shadow-md"
+          >
+            Settings ⚙️
+          </button>
           {videoSrc && (
             <button
               onClick={handleDownloadAssets}
@@ -419,15 +3771,860 @@ const App = () => {
         </div>
       </div>
 
+      {showProjects && (
+        <div className="bg-gray-800 p-6 rounded-lg shadow-inner mb-6">
+          <h2 className="text-xl font-semibold mb-4 text-green-300">Projects 📁</h2>
+          <div className="flex flex-col sm:flex-row items-center gap-4 mb-4">
+            <input
+              type="text"
+              value={projectName}
+              onChange={(e) => setProjectName(e.target.value)}
+              className="flex-1 bg-gray-700 text-white rounded-md p-2"
+              placeholder="Project name"
+            />
+            <span className="text-xs text-gray-400">
+              {lastSavedAt ? `Autosaved ${new Date(lastSavedAt).toLocaleTimeString()}` : 'Not saved yet'}
+            </span>
+            <button
+              onClick={handleNewProject}
+              disabled={isGenerating}
+              className="bg-blue-600 hover:bg-blue-700 text-white font-semibold py-2 px-4 rounded-full transition-colors duration-200 disabled:bg-gray-700 disabled:cursor-not-allowed"
+            >
+              New Project
+            </button>
+            <button
+              onClick={handleExportProject}
+              className="bg-green-600 hover:bg-green-700 text-white font-semibold py-2 px-4 rounded-full transition-colors duration-200"
+            >
+              Export Project
+            </button>
+            <label className="bg-purple-600 hover:bg-purple-700 text-white font-semibold py-2 px-4 rounded-full transition-colors duration-200 cursor-pointer">
+              Import Project
+              <input type="file" accept=".json,application/json" onChange={handleImportProject} className="hidden" />
+            </label>
+          </div>
+          {savedProjects.length > 0 ? (
+            <ul className="flex flex-col gap-2">
+              {savedProjects.map((project) => (
+                <li key={project.id} className={`bg-gray-700 p-3 rounded-lg flex items-center gap-4 border-2 ${project.id === projectId ? 'border-yellow-500' : 'border-transparent'}`}>
+                  <span className="flex-1 text-sm font-semibold">{project.name}</span>
+                  <span className="text-xs text-gray-400">{project.sceneCount} scenes · {new Date(project.updatedAt).toLocaleString()}</span>
+                  <button
+                    onClick={() => handleOpenProject(project.id)}
+                    disabled={isGenerating || project.id === projectId}
+                    className="bg-blue-600 hover:bg-blue-700 text-white text-sm py-1 px-3 rounded-full disabled:bg-gray-600 disabled:cursor-not-allowed"
+                  >
+                    Open
+                  </button>
+                  <button
+                    onClick={() => handleDeleteProject(project.id)}
+                    disabled={project.id === projectId}
+                    className="bg-red-600 hover:bg-red-700 text-white text-sm py-1 px-3 rounded-full disabled:bg-gray-600 disabled:cursor-not-allowed"
+                  >
+                    Delete
+                  </button>
+                </li>
+              ))}
+            </ul>
+          ) : (
+            <p className="text-gray-500 text-sm">Saved projects will appear here.</p>
+          )}
+        </div>
+      )}
+
+      {showSfxPanel && (
+        <div className="bg-gray-800 p-6 rounded-lg shadow-inner mb-6 grid grid-cols-1 md:grid-cols-2 gap-6">
+          <div>
+            <div className="flex items-center gap-4 mb-4">
+              <h2 className="text-xl font-semibold text-green-300">Sound Effect Library 🔊</h2>
+              <label className="bg-purple-600 hover:bg-purple-700 text-white text-sm font-semibold py-1 px-3 rounded-full cursor-pointer">
+                Upload
+                <input type="file" accept="audio/*" multiple onChange={handleSfxUpload} className="hidden" />
+              </label>
+            </div>
+            <ul className="flex flex-col gap-2">
+              {sfxLibrary.map((entry) => (
+                <li key={entry.id} className="bg-gray-700 p-2 rounded-lg flex items-center gap-3 text-sm">
+                  <input
+                    type="text"
+                    value={entry.name}
+                    onChange={(e) => setSfxLibrary(prev => prev.map(item => item.id === entry.id ? { ...item, name: e.target.value } : item))}
+                    className="flex-1 bg-gray-800 text-white rounded-md p-1"
+                  />
+                  {entry.src ? (
+                    <button onClick={() => new Audio(entry.src).play().catch(() => {})} className="bg-gray-600 hover:bg-gray-500 py-1 px-3 rounded-full">▶</button>
+                  ) : (
+                    <button onClick={() => handleGenerateLibraryEffect(entry.id)} className="bg-blue-600 hover:bg-blue-700 py-1 px-3 rounded-full">Generate</button>
+                  )}
+                  <button onClick={() => handleDeleteLibraryEffect(entry.id)} className="bg-red-600 hover:bg-red-700 py-1 px-3 rounded-full">✕</button>
+                </li>
+              ))}
+            </ul>
+          </div>
+          <div>
+            <div className="flex items-center gap-4 mb-4">
+              <h2 className="text-xl font-semibold text-green-300">Placement Rules</h2>
+              <button onClick={handleAddSfxRule} className="bg-blue-600 hover:bg-blue-700 text-white text-sm font-semibold py-1 px-3 rounded-full">Add Rule</button>
+              <button
+                onClick={handleApplySfxRules}
+                disabled={!videoSrc}
+                className="bg-green-600 hover:bg-green-700 text-white text-sm font-semibold py-1 px-3 rounded-full disabled:bg-gray-700 disabled:cursor-not-allowed"
+              >
+                Apply to Timeline
+              </button>
+            </div>
+            <ul className="flex flex-col gap-2">
+              {sfxRules.map((rule) => (
+                <li key={rule.id} className="bg-gray-700 p-2 rounded-lg flex flex-wrap items-center gap-2 text-sm">
+                  <select
+                    value={rule.trigger}
+                    onChange={(e) => handleSfxRuleChange(rule.id, 'trigger', e.target.value)}
+                    className="bg-gray-800 text-white p-1 rounded-md"
+                  >
+                    {sfxTriggers.map((t) => (
+                      <option key={t.id} value={t.id}>{t.name}</option>
+                    ))}
+                  </select>
+                  <input
+                    type="text"
+                    value={rule.pattern}
+                    onChange={(e) => handleSfxRuleChange(rule.id, 'pattern', e.target.value)}
+                    placeholder={rule.trigger === 'sceneStart' ? 'Any scene' : rule.trigger === 'regex' ? 'Regular expression' : 'Word'}
+                    className={`w-32 bg-gray-800 text-white rounded-md p-1 border ${rule.pattern && !compileRulePattern(rule) ? 'border-red-500' : 'border-transparent'}`}
+                  />
+                  <span>→</span>
+                  <select
+                    value={rule.effectId}
+                    onChange={(e) => handleSfxRuleChange(rule.id, 'effectId', e.target.value)}
+                    className="bg-gray-800 text-white p-1 rounded-md"
+                  >
+                    {sfxLibrary.map((entry) => (
+                      <option key={entry.id} value={entry.id}>{entry.name}</option>
+                    ))}
+                  </select>
+                  <label className="flex items-center gap-1">
+                    Vol
+                    <input
+                      type="number"
+                      min="0"
+                      max="1"
+                      step="0.1"
+                      value={rule.volume}
+                      onChange={(e) => handleSfxRuleChange(rule.id, 'volume', clamp(Number(e.target.value), 0, 1))}
+                      className="w-14 bg-gray-800 text-white rounded-md p-1 text-center"
+                    />
+                  </label>
+                  <label className="flex items-center gap-1">
+                    Offset (s)
+                    <input
+                      type="number"
+                      step="0.1"
+                      value={rule.offset}
+                      onChange={(e) => handleSfxRuleChange(rule.id, 'offset', Number(e.target.value))}
+                      className="w-14 bg-gray-800 text-white rounded-md p-1 text-center"
+                    />
+                  </label>
+                  <button onClick={() => setSfxRules(prev => prev.filter(r => r.id !== rule.id))} className="bg-red-600 hover:bg-red-700 py-1 px-3 rounded-full">✕</button>
+                </li>
+              ))}
+            </ul>
+          </div>
+        </div>
+      )}
+
+      {showSettings && (
+        <div className="bg-gray-800 p-6 rounded-lg shadow-inner mb-6">
+          <h2 className="text-xl font-semibold mb-4 text-green-300">Generation Providers ⚙️</h2>
+          <div className="grid grid-cols-1 md:grid-cols-5 gap-4 mb-4">
+            {providerCapabilities.map((capability) => (
+              <label key={capability.id} className="flex flex-col gap-1 text-sm">
+                {capability.name}
+                <select
+                  value={providerSettings[capability.id]}
+                  onChange={(e) => setProviderSettings(prev => ({ ...prev, [capability.id]: e.target.value }))}
+                  className="bg-gray-700 text-white p-2 rounded-full border border-gray-600 focus:outline-none focus:ring-2 focus:ring-green-500"
+                >
+                  {generationProviders.filter(p => p.capabilities.includes(capability.id)).map((p) => (
+                    <option key={p.id} value={p.id}>{p.name}</option>
+                  ))}
+                </select>
+              </label>
+            ))}
+          </div>
+          {generationProviders
+            .filter(p => p.id !== 'local' && providerCapabilities.some(c => providerSettings[c.id] === p.id))
+            .map((p) => (
+              <div key={p.id} className="bg-gray-700 p-4 rounded-lg flex flex-col sm:flex-row items-center gap-4 mb-2">
+                <span className="text-sm font-semibold w-40">{p.name}</span>
+                <input
+                  type="text"
+                  value={providerSettings.configs[p.id].endpoint}
+                  onChange={(e) => setProviderSettings(prev => ({ ...prev, configs: { ...prev.configs, [p.id]: { ...prev.configs[p.id], endpoint: e.target.value } } }))}
+                  placeholder="Endpoint URL"
+                  className="flex-1 bg-gray-800 text-white rounded-md p-2"
+                />
+                <input
+                  type="password"
+                  value={providerSettings.configs[p.id].apiKey}
+                  onChange={(e) => setProviderSettings(prev => ({ ...prev, configs: { ...prev.configs, [p.id]: { ...prev.configs[p.id], apiKey: e.target.value } } }))}
+                  placeholder="API key"
+                  className="flex-1 bg-gray-800 text-white rounded-md p-2"
+                />
+              </div>
+            ))}
+          <label className="flex items-center gap-2 text-sm mt-2">
+            <input
+              type="checkbox"
+              checked={providerSettings.rememberApiKeys}
+              onChange={(e) => setProviderSettings(prev => ({ ...prev, rememberApiKeys: e.target.checked }))}
+            />
+            Remember API keys on this device
+          </label>
+          <p className="text-xs text-yellow-400 mt-1">
+            Remembered keys are stored unencrypted in this browser's local storage, where anyone using this browser profile, and any script running on this page, can read them. Leave this off on shared computers; keys are then forgotten when the page is closed.
+          </p>
+          <div className="flex flex-col sm:flex-row gap-4 mt-4 text-sm">
+            <label className="flex items-center gap-2">
+              Scenes generated at once
+              <input
+                type="number"
+                min="1"
+                max="10"
+                value={providerSettings.concurrency}
+                onChange={(e) => setProviderSettings(prev => ({ ...prev, concurrency: clamp(Number(e.target.value) || 1, 1, 10) }))}
+                className="w-20 bg-gray-700 text-white rounded-md p-2"
+              />
+            </label>
+            <label className="flex items-center gap-2">
+              Retries per request
+              <input
+                type="number"
+                min="0"
+                max="10"
+                value={providerSettings.retries}
+                onChange={(e) => setProviderSettings(prev => ({ ...prev, retries: clamp(Number(e.target.value) || 0, 0, 10) }))}
+                className="w-20 bg-gray-700 text-white rounded-md p-2"
+              />
+            </label>
+          </div>
+          <div className="bg-gray-700 p-4 rounded-lg mt-4">
+            <div className="flex flex-col sm:flex-row sm:items-center justify-between gap-2 mb-2">
+              <span className="text-sm font-semibold">
+                Asset cache: {cachedAssets.length} item{cachedAssets.length === 1 ? '' : 's'}, {formatBytes(cachedAssets.reduce((sum, entry) => sum + entry.size, 0))}
+              </span>
+              <button
+                onClick={handleClearCache}
+                disabled={cachedAssets.length === 0 || isGenerating}
+                className="bg-red-600 hover:bg-red-700 text-white text-sm py-1 px-3 rounded-full disabled:bg-gray-600 disabled:cursor-not-allowed"
+              >
+                Clear Cache
+              </button>
+            </div>
+            <p className="text-xs text-gray-400 mb-2">Generated images and audio are reused when the provider, model, prompt or text, voice and settings are unchanged. Beyond {formatBytes(ASSET_CACHE_LIMIT_BYTES)}, the least recently used are removed.</p>
+            {cachedAssets.length > 0 && (
+              <ul className="max-h-48 overflow-y-auto text-xs space-y-1">
+                {cachedAssets.map(entry => (
+                  <li key={entry.key} className="flex items-center gap-2 bg-gray-800 rounded-md px-2 py-1">
+                    <span className="w-20 text-gray-400">{entry.kind}</span>
+                    <span className="flex-1 truncate" title={entry.label}>{entry.label}</span>
+                    <span className="text-gray-400">{entry.provider}</span>
+                    <span className="w-16 text-right text-gray-400">{formatBytes(entry.size)}</span>
+                    <button onClick={() => handleDeleteCachedAsset(entry.key)} className="text-red-400 hover:text-red-300" title="Remove from cache">✕</button>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+        </div>
+      )}
+
+      {showStylePanel && (
+        <div className="bg-gray-800 p-6 rounded-lg shadow-inner mb-6">
+          <h2 className="text-xl font-semibold mb-4 text-green-300">Visual Style 🎨</h2>
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-4 text-sm">
+            <label className="flex flex-col gap-1">
+              Style preset
+              <select
+                value={visualStyle.preset}
+                onChange={(e) => handleVisualStyleChange({ preset: e.target.value })}
+                className="bg-gray-700 text-white p-2 rounded-full border border-gray-600 focus:outline-none focus:ring-2 focus:ring-green-500"
+              >
+                {stylePresets.map(preset => <option key={preset.id} value={preset.id}>{preset.name}</option>)}
+              </select>
+            </label>
+            <label className="flex flex-col gap-1">
+              Extra style words
+              <input
+                type="text"
+                value={visualStyle.custom}
+                onChange={(e) => handleVisualStyleChange({ custom: e.target.value })}
+                placeholder="e.g. warm autumn palette, golden hour"
+                className="bg-gray-700 text-white rounded-md p-2"
+              />
+            </label>
+            <label className="flex flex-col gap-1">
+              Negative prompt
+              <input
+                type="text"
+                value={visualStyle.negativePrompt}
+                onChange={(e) => handleVisualStyleChange({ negativePrompt: e.target.value })}
+                placeholder="e.g. text, watermark, blurry"
+                className="bg-gray-700 text-white rounded-md p-2"
+              />
+              {visualStyle.negativePrompt.trim() && !imageProviderOptions.includes('negativePrompt') && (
+                <span className="text-xs text-gray-400">Sent as part of the prompt; the image provider has no negative prompt option.</span>
+              )}
+            </label>
+            <label className="flex flex-col gap-1">
+              Seed
+              <div className="flex gap-2">
+                <input
+                  type="number"
+                  value={visualStyle.seed ?? ''}
+                  onChange={(e) => handleVisualStyleChange({ seed: e.target.value === '' ? null : Math.trunc(Number(e.target.value)) })}
+                  placeholder="Random"
+                  className="flex-1 bg-gray-700 text-white rounded-md p-2"
+                />
+                <button
+                  onClick={() => handleVisualStyleChange({ seed: Math.floor(Math.random() * 1000000) })}
+                  title="Pick a random seed"
+                  className="bg-gray-700 hover:bg-gray-600 text-white py-1 px-3 rounded-full"
+                >
+                  🎲
+                </button>
+              </div>
+              {visualStyle.seed !== null && !imageProviderOptions.includes('seed') && (
+                <span className="text-xs text-gray-400">The selected image provider ignores seeds.</span>
+              )}
+            </label>
+          </div>
+
+          <h3 className="text-lg font-semibold mb-2 text-green-300">Cast</h3>
+          <p className="text-xs text-gray-400 mb-2">Descriptions are added to the image prompt of every scene that mentions the name.</p>
+          <div className="flex flex-col gap-2 mb-3">
+            {visualStyle.cast.map(member => (
+              <div key={member.id} className="bg-gray-700 p-2 rounded-lg flex flex-col sm:flex-row items-center gap-2 text-sm">
+                <select
+                  value={member.kind}
+                  onChange={(e) => handleCastChange(member.id, { kind: e.target.value })}
+                  className="bg-gray-800 text-white p-1 rounded-full border border-gray-600"
+                >
+                  {castKinds.map(kind => <option key={kind.id} value={kind.id}>{kind.name}</option>)}
+                </select>
+                <input
+                  type="text"
+                  value={member.name}
+                  onChange={(e) => handleCastChange(member.id, { name: e.target.value })}
+                  placeholder="Name"
+                  className="w-40 bg-gray-800 text-white rounded-md p-1"
+                />
+                <input
+                  type="text"
+                  value={member.description}
+                  onChange={(e) => handleCastChange(member.id, { description: e.target.value })}
+                  placeholder="Appearance, e.g. a tall woman with short silver hair and a red coat"
+                  className="flex-1 bg-gray-800 text-white rounded-md p-1"
+                />
+                <button onClick={() => handleDeleteCastMember(member.id)} className="text-red-400 hover:text-red-300 px-2">✕</button>
+              </div>
+            ))}
+          </div>
+          <button
+            onClick={handleAddCastMember}
+            className="bg-gray-700 hover:bg-gray-600 text-white text-sm py-1 px-4 rounded-full"
+          >
+            + Add character or location
+          </button>
+        </div>
+      )}
+
+      {showLanguagePanel && (
+        <div className="bg-gray-800 p-6 rounded-lg shadow-inner mb-6">
+          <h2 className="text-xl font-semibold text-green-300 mb-2">Languages 🌐</h2>
+          <p className="text-xs text-gray-400 mb-4">
+            Each language has its own script, voices, narration and subtitles over the same scenes and images.
+            Switching loads that language into the editor, and exports use the active language.
+          </p>
+          {languageStatus && (
+            <p className={`text-sm mb-4 ${{ info: 'text-green-300', error: 'text-red-400' }[languageStatus.tone]}`}>
+              {languageStatus.text}
+            </p>
+          )}
+          <ul className="flex flex-col gap-2 mb-4">
+            <li className="bg-gray-700 p-3 rounded-lg flex flex-wrap items-center gap-4 border-2 border-yellow-500">
+              <span className="font-semibold">{getLanguageName(splitSettings.locale)} <span className="text-xs text-gray-400">{splitSettings.locale}</span></span>
+              <span className="text-xs text-yellow-400">Active</span>
+              {videoSrc && (
+                <>
+                  <span className="text-xs text-gray-300">
+                    {videoSrc.images.filter(scene => scene.voiceClip).length} of {videoSrc.images.length} scenes narrated
+                  </span>
+                  {parsedScript.scenes.length !== videoSrc.images.length && (
+                    <span className="text-xs text-red-400">
+                      The script has {parsedScript.scenes.length} scenes; it needs {videoSrc.images.length} to match the video.
+                    </span>
+                  )}
+                  <button
+                    onClick={handleGenerateNarration}
+                    disabled={isGenerating || parsedScript.scenes.length !== videoSrc.images.length}
+                    className="ml-auto bg-blue-600 hover:bg-blue-700 text-white text-sm font-semibold py-1 px-4 rounded-full transition-colors duration-200 disabled:bg-gray-600 disabled:cursor-not-allowed"
+                    title="Generate narration for this language and refit the scenes to it, keeping the images"
+                  >
+                    Generate Narration
+                  </button>
+                </>
+              )}
+            </li>
+            {languageTracks.map(track => (
+              <li key={track.locale} className="bg-gray-700 p-3 rounded-lg flex flex-wrap items-center gap-4 border-2 border-transparent">
+                <span className="font-semibold">{getLanguageName(track.locale)} <span className="text-xs text-gray-400">{track.locale}</span></span>
+                {videoSrc && (
+                  <span className="text-xs text-gray-300">
+                    {videoSrc.images.filter(scene => track.narration[scene.id] && track.narration[scene.id].voiceClip).length} of {videoSrc.images.length} scenes narrated
+                  </span>
+                )}
+                <button
+                  onClick={() => handleSwitchLanguage(track.locale)}
+                  disabled={isGenerating || recordingTarget !== null}
+                  className="ml-auto bg-green-600 hover:bg-green-700 text-white text-sm font-semibold py-1 px-4 rounded-full transition-colors duration-200 disabled:bg-gray-600 disabled:cursor-not-allowed"
+                >
+                  Switch
+                </button>
+                <button
+                  onClick={() => handleDeleteLanguage(track.locale)}
+                  className="bg-red-600 hover:bg-red-700 text-white text-sm font-semibold py-1 px-4 rounded-full transition-colors duration-200"
+                >
+                  Delete
+                </button>
+              </li>
+            ))}
+          </ul>
+          <div className="flex flex-wrap items-center gap-2">
+            <select
+              value={newLanguage}
+              onChange={(e) => setNewLanguage(e.target.value)}
+              className="bg-gray-700 text-white p-2 rounded-full border border-gray-600"
+            >
+              <option value="">Add a language…</option>
+              {scriptLocales
+                .filter(locale => locale !== splitSettings.locale && !languageTracks.some(track => track.locale === locale))
+                .map(locale => <option key={locale} value={locale}>{getLanguageName(locale)} ({locale})</option>)}
+            </select>
+            <button
+              onClick={() => handleAddLanguage(true)}
+              disabled={!newLanguage || isTranslating || isGenerating}
+              className="bg-purple-600 hover:bg-purple-700 text-white font-semibold py-2 px-4 rounded-full transition-colors duration-200 disabled:bg-gray-600 disabled:cursor-not-allowed"
+            >
+              {isTranslating ? 'Translating...' : 'Translate Script'}
+            </button>
+            <button
+              onClick={() => handleAddLanguage(false)}
+              disabled={!newLanguage || isTranslating || isGenerating}
+              className="bg-blue-600 hover:bg-blue-700 text-white font-semibold py-2 px-4 rounded-full transition-colors duration-200 disabled:bg-gray-600 disabled:cursor-not-allowed"
+              title="Start from a copy of the current script and paste the translation over it"
+            >
+              Paste My Own
+            </button>
+          </div>
+        </div>
+      )}
+
+      {showSubtitleEditor && (
+        <div className="bg-gray-800 p-6 rounded-lg shadow-inner mb-6">
+          <div className="flex flex-wrap justify-between items-center gap-4 mb-4">
+            <h2 className="text-xl font-semibold text-green-300">Subtitles 📝</h2>
+            <div className="flex flex-wrap gap-2">
+              <label className="bg-purple-600 hover:bg-purple-700 text-white font-semibold py-2 px-4 rounded-full transition-colors duration-200 cursor-pointer">
+                Import SRT/VTT
+                <input
+                  type="file"
+                  accept=".srt,.vtt,text/vtt,application/x-subrip"
+                  onChange={(e) => {
+                    if (e.target.files[0]) handleImportSubtitles(e.target.files[0]);
+                    e.target.value = '';
+                  }}
+                  className="hidden"
+                  disabled={isGenerating}
+                />
+              </label>
+              <button
+                onClick={() => handleDownloadSubtitles('srt')}
+                disabled={subtitles.length === 0}
+                className="bg-green-600 hover:bg-green-700 text-white font-semibold py-2 px-4 rounded-full transition-colors duration-200 disabled:bg-gray-700 disabled:cursor-not-allowed"
+              >
+                Download SRT
+              </button>
+              <button
+                onClick={() => handleDownloadSubtitles('vtt')}
+                disabled={subtitles.length === 0}
+                className="bg-green-600 hover:bg-green-700 text-white font-semibold py-2 px-4 rounded-full transition-colors duration-200 disabled:bg-gray-700 disabled:cursor-not-allowed"
+              >
+                Download VTT
+              </button>
+            </div>
+          </div>
+          <p className="text-xs text-gray-400 mb-4">
+            Importing rewrites the script with one scene per cue. If the current video has the same number of scenes, it is retimed to match the file.
+          </p>
+          {subtitleImportStatus && (
+            <p className={`text-sm mb-4 ${{ info: 'text-green-300', warning: 'text-yellow-400', error: 'text-red-400' }[subtitleImportStatus.tone]}`}>
+              {subtitleImportStatus.text}
+            </p>
+          )}
+          {subtitles.length > 0 ? (
+            <ul className="flex flex-col gap-2 max-h-96 overflow-y-auto">
+              {subtitles.map((sub, index) => {
+                const problems = subtitleProblems[index];
+                return (
+                  <li key={index} className={`bg-gray-700 p-3 rounded-lg border-2 ${problems.length > 0 ? 'border-red-500' : 'border-transparent'}`}>
+                    <div className="flex flex-wrap items-center gap-2 text-sm">
+                      <span className="text-gray-400 w-8">{index + 1}</span>
+                      <input
+                        type="number"
+                        min="0"
+                        step="0.01"
+                        value={sub.startTime}
+                        onChange={(e) => handleSubtitleChange(index, { startTime: Number(e.target.value) })}
+                        className="w-24 bg-gray-800 text-white p-1 rounded border border-gray-600"
+                        title="Start (seconds)"
+                      />
+                      <span>→</span>
+                      <input
+                        type="number"
+                        min="0"
+                        step="0.01"
+                        value={sub.endTime}
+                        onChange={(e) => handleSubtitleChange(index, { endTime: Number(e.target.value) })}
+                        className="w-24 bg-gray-800 text-white p-1 rounded border border-gray-600"
+                        title="End (seconds)"
+                      />
+                      <input
+                        type="text"
+                        value={sub.text}
+                        onChange={(e) => handleSubtitleChange(index, { text: e.target.value })}
+                        className="flex-grow min-w-0 bg-gray-800 text-white p-1 rounded border border-gray-600"
+                      />
+                      <button
+                        onClick={() => handleDeleteSubtitle(index)}
+                        className="bg-red-600 hover:bg-red-700 text-white text-xs font-semibold py-1 px-3 rounded-full transition-colors duration-200"
+                      >
+                        Delete
+                      </button>
+                    </div>
+                    {problems.length > 0 && (
+                      <p className="text-xs text-red-400 mt-1 ml-10">{problems.join(' ')}</p>
+                    )}
+                  </li>
+                );
+              })}
+            </ul>
+          ) : (
+            <p className="text-gray-400 text-sm">No subtitles yet. Generate a video or import a subtitle file.</p>
+          )}
+        </div>
+      )}
+
+      {showCaptionPanel && (
+        <div className="bg-gray-800 p-6 rounded-lg shadow-inner mb-6">
+          <div className="flex justify-between items-center mb-4">
+            <h2 className="text-xl font-semibold text-green-300">Captions 💬</h2>
+            <label className="text-sm flex items-center gap-2">
+              <input type="checkbox" checked={captionStyle.enabled} onChange={(e) => handleCaptionStyleChange({ enabled: e.target.checked })} />
+              Show captions
+            </label>
+          </div>
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-4 text-sm">
+            <label className="flex flex-col gap-1">
+              Font
+              <select
+                value={captionStyle.font}
+                onChange={(e) => handleCaptionStyleChange({ font: e.target.value })}
+                className="bg-gray-700 text-white p-2 rounded-full border border-gray-600"
+              >
+                {captionFonts.map(font => <option key={font} value={font}>{font}</option>)}
+              </select>
+            </label>
+            <label className="flex flex-col gap-1">
+              Size ({Math.round(captionStyle.size * 100)}%)
+              <input
+                type="range"
+                min="0.5"
+                max="2"
+                step="0.05"
+                value={captionStyle.size}
+                onChange={(e) => handleCaptionStyleChange({ size: Number(e.target.value) })}
+              />
+            </label>
+            <label className="flex flex-col gap-1">
+              Position
+              <select
+                value={captionStyle.position}
+                onChange={(e) => handleCaptionStyleChange({ position: e.target.value })}
+                className="bg-gray-700 text-white p-2 rounded-full border border-gray-600"
+              >
+                {captionPositions.map(position => <option key={position.id} value={position.id}>{position.name}</option>)}
+              </select>
+            </label>
+            <label className="flex flex-col gap-1">
+              Background
+              <select
+                value={captionStyle.background}
+                onChange={(e) => handleCaptionStyleChange({ background: e.target.value })}
+                className="bg-gray-700 text-white p-2 rounded-full border border-gray-600"
+              >
+                {captionBackgrounds.map(background => <option key={background.id} value={background.id}>{background.name}</option>)}
+              </select>
+            </label>
+            <label className="flex items-center gap-2">
+              <input type="color" value={captionStyle.textColor} onChange={(e) => handleCaptionStyleChange({ textColor: e.target.value })} />
+              Text color
+            </label>
+            {captionStyle.background === 'box' && (
+              <label className="flex items-center gap-2">
+                <input type="color" value={captionStyle.boxColor} onChange={(e) => handleCaptionStyleChange({ boxColor: e.target.value })} />
+                Box
+                <input
+                  type="range"
+                  min="0"
+                  max="1"
+                  step="0.05"
+                  value={captionStyle.boxOpacity}
+                  onChange={(e) => handleCaptionStyleChange({ boxOpacity: Number(e.target.value) })}
+                  title="Box opacity"
+                  className="flex-1"
+                />
+              </label>
+            )}
+            {captionStyle.background === 'outline' && (
+              <label className="flex items-center gap-2">
+                <input type="color" value={captionStyle.outlineColor} onChange={(e) => handleCaptionStyleChange({ outlineColor: e.target.value })} />
+                Outline color
+              </label>
+            )}
+            <label className="flex items-center gap-2">
+              Max characters per line
+              <input
+                type="number"
+                min="10"
+                max="80"
+                value={captionStyle.maxChars}
+                onChange={(e) => handleCaptionStyleChange({ maxChars: clamp(Number(e.target.value) || 10, 10, 80) })}
+                className="w-16 bg-gray-700 text-white rounded-md p-1"
+              />
+            </label>
+            <label className="flex items-center gap-2">
+              Max lines
+              <input
+                type="number"
+                min="1"
+                max="4"
+                value={captionStyle.maxLines}
+                onChange={(e) => handleCaptionStyleChange({ maxLines: clamp(Number(e.target.value) || 1, 1, 4) })}
+                className="w-16 bg-gray-700 text-white rounded-md p-1"
+              />
+            </label>
+            <label className="flex items-center gap-2">
+              <input type="checkbox" checked={captionStyle.karaoke} onChange={(e) => handleCaptionStyleChange({ karaoke: e.target.checked })} />
+              Highlight words as spoken
+            </label>
+            {captionStyle.karaoke && (
+              <label className="flex items-center gap-2">
+                <input type="color" value={captionStyle.highlightColor} onChange={(e) => handleCaptionStyleChange({ highlightColor: e.target.value })} />
+                Highlight color
+              </label>
+            )}
+          </div>
+        </div>
+      )}
+
+      {generationJobs.length > 0 && (
+        <div className="bg-gray-800 p-6 rounded-lg shadow-inner mb-6">
+          <div className="flex justify-between items-center mb-4">
+            <h2 className="text-xl font-semibold text-green-300">Generation Status 📋</h2>
+            <div className="flex gap-2">
+              {!isGenerating && generationJobs.some(job => job.status === 'failed' || job.status === 'cancelled') && (
+                <button
+                  onClick={handleRetryFailedScenes}
+                  className="bg-blue-600 hover:bg-blue-700 text-white text-sm py-1 px-4 rounded-full"
+                >
+                  Regenerate Failed Scenes
+                </button>
+              )}
+              {!isGenerating && (
+                <button
+                  onClick={() => setGenerationJobs([])}
+                  className="bg-gray-700 hover:bg-gray-600 text-white text-sm py-1 px-4 rounded-full"
+                >
+                  Dismiss
+                </button>
+              )}
+            </div>
+          </div>
+          <ul className="flex flex-col gap-1 text-sm max-h-48 overflow-y-auto">
+            {generationJobs.map(job => (
+              <li key={job.id} className="flex items-center gap-3 bg-gray-700 rounded-md px-3 py-1">
+                <span className="w-20 text-gray-400">Scene {job.index + 1}</span>
+                <span className="flex-1 truncate" title={job.text}>{job.text}</span>
+                <span className={`w-24 text-right ${generationStatusColors[job.status]}`}>{job.status}</span>
+                {job.error && <span className="text-red-400 text-xs truncate max-w-xs" title={job.error}>{job.error}</span>}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
       <div className="flex-1 grid grid-cols-1 md:grid-cols-3 gap-6 mb-6">
         <div className="col-span-1 md:col-span-1 bg-gray-800 p-6 rounded-lg shadow-inner flex flex-col">
           <h2 className="text-xl font-semibold mb-4 text-green-300">1. Video Script ✍️</h2>
           <textarea
             value={script}
-            onChange={(e) => setScript(e.target.value)}
+            onChange={handleScriptChange}
             className="w-full h-40 bg-gray-700 text-white p-4 rounded-lg focus:outline-none focus:ring-2 focus:ring-green-500 mb-4 resize-none"
-            placeholder="Type your video script here..."
+            placeholder="Type your video script here, or start scenes with '## Title' to use markup..."
           />
+          {parsedScript.scenes.length > 0 && (
+            <div className="bg-gray-700 rounded-lg p-3 mb-4 text-sm max-h-96 overflow-y-auto">
+              <div className="flex flex-wrap items-center gap-2 mb-2">
+                <h3 className="font-semibold text-green-300 mr-auto">Scenes ({parsedScript.scenes.length})</h3>
+                {!parsedScript.isMarkup && (
+                  <>
+                    <select
+                      value={splitSettings.mode}
+                      onChange={(e) => setSplitSettings(prev => ({ ...prev, mode: e.target.value }))}
+                      className="bg-gray-800 text-white p-1 rounded-full border border-gray-600"
+                    >
+                      {splitModes.map(mode => <option key={mode.id} value={mode.id}>{mode.name}</option>)}
+                    </select>
+                    {splitSettings.mode === 'length' && (
+                      <input
+                        type="number"
+                        min="2"
+                        max="60"
+                        value={splitSettings.targetSeconds}
+                        onChange={(e) => setSplitSettings(prev => ({ ...prev, targetSeconds: clamp(Number(e.target.value) || 2, 2, 60) }))}
+                        title="Target scene length in seconds"
+                        className="w-16 bg-gray-800 text-white rounded-md p-1"
+                      />
+                    )}
+                  </>
+                )}
+                <select
+                  value={splitSettings.locale}
+                  onChange={(e) => setSplitSettings(prev => ({ ...prev, locale: e.target.value }))}
+                  title="Script language, used to find sentence boundaries"
+                  className="bg-gray-800 text-white p-1 rounded-full border border-gray-600"
+                >
+                  {[...new Set([splitSettings.locale, ...scriptLocales])]
+                    .filter(locale => !languageTracks.some(track => track.locale === locale))
+                    .map(locale => <option key={locale} value={locale}>{locale}</option>)}
+                </select>
+              </div>
+              {!parsedScript.isMarkup && (
+                <p className="text-xs text-gray-400 mb-2">Editing a scene below rewrites the script with "## " scene markup.</p>
+              )}
+              <button
+                onClick={handleRewritePrompts}
+                disabled={isRewritingPrompts || isGenerating}
+                title="Write an image prompt for every scene that has none, from its narration. A prose script is rewritten as scene markup to hold the prompts."
+                className="bg-purple-600 hover:bg-purple-700 text-white text-xs py-1 px-3 rounded-full mb-2 disabled:bg-gray-600 disabled:cursor-not-allowed"
+              >
+                {isRewritingPrompts ? 'Writing prompts...' : '✨ Write visual prompts'}
+              </button>
+              {isRewritingPrompts && (
+                <button
+                  onClick={() => promptAbortRef.current && promptAbortRef.current.abort()}
+                  className="bg-red-600 hover:bg-red-700 text-white text-xs py-1 px-3 rounded-full mb-2 ml-2"
+                >
+                  Cancel
+                </button>
+              )}
+              {parsedScript.errors.map(error => (
+                <p key={`${error.line}_${error.message}`} className="text-red-400 text-xs mb-1">Line {error.line}: {error.message}</p>
+              ))}
+              <ol className="flex flex-col gap-2 mb-2">
+                {editableScenes.map((_, index) => (
+                  <li key={index} className="bg-gray-800 rounded-md p-2 flex flex-col gap-1">
+                    <div className="flex items-center gap-2">
+                      <span className="text-gray-400">{index + 1}.</span>
+                      <input
+                        type="text"
+                        value={getSceneFieldText(index, 'title')}
+                        onChange={(e) => handleEditScene(index, 'title', e.target.value, e.target.value.trim() || null)}
+                        onBlur={() => setSceneDraft(null)}
+                        placeholder="Untitled scene"
+                        className="flex-1 bg-gray-700 text-white rounded-md px-2 py-1"
+                      />
+                      <input
+                        type="number"
+                        min="0"
+                        step="0.5"
+                        value={getSceneFieldText(index, 'duration')}
+                        onChange={(e) => handleEditScene(index, 'duration', e.target.value, Number(e.target.value) > 0 ? Number(e.target.value) : null)}
+                        onBlur={() => setSceneDraft(null)}
+                        placeholder="auto"
+                        title="Minimum scene length in seconds"
+                        className="w-16 bg-gray-700 text-white rounded-md px-2 py-1"
+                      />
+                    </div>
+                    <textarea
+                      value={getSceneFieldText(index, 'body')}
+                      onChange={(e) => handleEditScene(index, 'body', e.target.value)}
+                      onBlur={() => setSceneDraft(null)}
+                      onSelect={(e) => setSceneCursor({ index, position: e.target.selectionStart })}
+                      rows="2"
+                      className="w-full bg-gray-700 text-white rounded-md px-2 py-1 resize-y"
+                    />
+                    <input
+                      type="text"
+                      value={getSceneFieldText(index, 'prompt')}
+                      onChange={(e) => handleEditScene(index, 'prompt', e.target.value, e.target.value.trim() || null)}
+                      onBlur={() => setSceneDraft(null)}
+                      placeholder={`🖼 ${parsedScript.scenes[index].prompt || 'Image prompt'}`}
+                      className="w-full bg-gray-700 text-white rounded-md px-2 py-1 text-xs"
+                    />
+                    <div className="flex justify-between items-center">
+                      <span className="text-xs text-gray-400 truncate">
+                        {[...new Set(parsedScript.scenes[index].segments.filter(s => s.type === 'speech').map(s => s.speaker || 'Narrator'))].join(', ')}
+                        {parsedScript.scenes[index].segments.some(s => s.type === 'pause') && ' · pauses'}
+                      </span>
+                      <div className="flex gap-1">
+                        <button
+                          onClick={() => handleSplitScriptScene(index)}
+                          title="Split at the cursor, or between the middle sentences"
+                          className="bg-gray-600 hover:bg-gray-500 text-white text-xs py-1 px-2 rounded-full"
+                        >
+                          Split
+                        </button>
+                        {index < editableScenes.length - 1 && (
+                          <button
+                            onClick={() => handleMergeScriptScenes(index)}
+                            title="Merge with the next scene"
+                            className="bg-gray-600 hover:bg-gray-500 text-white text-xs py-1 px-2 rounded-full"
+                          >
+                            Merge ↓
+                          </button>
+                        )}
+                      </div>
+                    </div>
+                  </li>
+                ))}
+              </ol>
+              {parsedScript.speakers.map(speaker => (
+                <label key={speaker} className="flex items-center gap-2 mb-1">
+                  <span className="w-24 truncate">{speaker}</span>
+                  <select
+                    value={speakerVoices[speaker] || selectedVoice}
+                    onChange={(e) => setSpeakerVoices(prev => ({ ...prev, [speaker]: e.target.value }))}
+                    className="flex-1 bg-gray-800 text-white p-1 rounded-full border border-gray-600"
+                  >
+                    {voices.map((voice) => (
+                      <option key={voice.id} value={voice.id}>{voice.name}</option>
+                    ))}
+                  </select>
+                </label>
+              ))}
+            </div>
+          )}
           <div className="flex items-center gap-4">
             <span className="text-sm">Choose Voice:</span>
             <select
@@ -435,18 +4632,147 @@ const App = () => {
               onChange={(e) => setSelectedVoice(e.target.value)}
               className="flex-1 bg-gray-700 text-white p-2 rounded-full border border-gray-600 focus:outline-none focus:ring-2 focus:ring-green-500"
             >
-              {voiceLibrary.map((voice) => (
+              {voices.map((voice) => (
                 <option key={voice.id} value={voice.id}>
                   {voice.name}
                 </option>
               ))}
             </select>
           </div>
+
+          <h3 className="text-lg font-semibold mt-6 mb-3 text-green-300">Background Music 🎵</h3>
+          <div className="flex flex-wrap items-center gap-2 mb-3">
+            <label className="bg-purple-600 hover:bg-purple-700 text-white text-sm font-semibold py-1 px-3 rounded-full cursor-pointer">
+              Upload
+              <input type="file" accept="audio/*" onChange={handleMusicUpload} className="hidden" />
+            </label>
+            <button
+              onClick={handleGenerateMusic}
+              disabled={isGeneratingMusic}
+              className="bg-blue-600 hover:bg-blue-700 text-white text-sm font-semibold py-1 px-3 rounded-full disabled:bg-gray-700 disabled:cursor-not-allowed"
+            >
+              {isGeneratingMusic ? 'Generating...' : 'Generate'}
+            </button>
+            {backgroundMusicUrl && (
+              <button
+                onClick={() => setBackgroundMusicUrl(null)}
+                className="bg-gray-600 hover:bg-gray-700 text-white text-sm font-semibold py-1 px-3 rounded-full"
+              >
+                Remove
+              </button>
+            )}
+            <span className="text-xs text-gray-400">{backgroundMusicUrl ? 'Track loaded' : 'No music'}</span>
+          </div>
+          {backgroundMusicUrl && (
+            <div className="flex flex-col gap-2 text-sm">
+              <label className="flex items-center gap-2">
+                <span className="w-24">Volume</span>
+                <input
+                  type="range"
+                  min="0"
+                  max="1"
+                  step="0.01"
+                  value={musicSettings.volume}
+                  onChange={(e) => handleMusicSettingChange('volume', Number(e.target.value))}
+                  className="flex-1"
+                />
+              </label>
+              <div className="flex items-center gap-2">
+                <span className="w-24">Fade in/out (s)</span>
+                <input
+                  type="number"
+                  min="0"
+                  step="0.5"
+                  value={musicSettings.fadeIn}
+                  onChange={(e) => handleMusicSettingChange('fadeIn', Math.max(0, Number(e.target.value)))}
+                  className="w-16 bg-gray-700 text-white rounded-md p-1 text-center"
+                />
+                <input
+                  type="number"
+                  min="0"
+                  step="0.5"
+                  value={musicSettings.fadeOut}
+                  onChange={(e) => handleMusicSettingChange('fadeOut', Math.max(0, Number(e.target.value)))}
+                  className="w-16 bg-gray-700 text-white rounded-md p-1 text-center"
+                />
+              </div>
+              <div className="flex items-center gap-2">
+                <span className="w-24">Length</span>
+                <select
+                  value={musicSettings.mode}
+                  onChange={(e) => handleMusicSettingChange('mode', e.target.value)}
+                  className="bg-gray-700 text-white p-1 rounded-md"
+                >
+                  <option value="loop">Loop to video length</option>
+                  <option value="trim">Play once, trim at end</option>
+                </select>
+              </div>
+              <div className="flex items-center gap-2">
+                <span className="w-24">Start at (s)</span>
+                <input
+                  type="number"
+                  min="0"
+                  step="0.5"
+                  value={musicSettings.startOffset}
+                  onChange={(e) => handleMusicSettingChange('startOffset', Math.max(0, Number(e.target.value)))}
+                  className="w-16 bg-gray-700 text-white rounded-md p-1 text-center"
+                />
+              </div>
+              <label className="flex items-center gap-2">
+                <input
+                  type="checkbox"
+                  checked={musicSettings.ducking}
+                  onChange={(e) => handleMusicSettingChange('ducking', e.target.checked)}
+                />
+                <span className="w-20">Duck under voice</span>
+                <input
+                  type="range"
+                  min="0"
+                  max="1"
+                  step="0.05"
+                  value={musicSettings.duckLevel}
+                  disabled={!musicSettings.ducking}
+                  onChange={(e) => handleMusicSettingChange('duckLevel', Number(e.target.value))}
+                  className="flex-1"
+                />
+              </label>
+            </div>
+          )}
         </div>
 
         <div className="col-span-1 md:col-span-2 bg-gray-800 p-6 rounded-lg shadow-inner flex flex-col">
-          <h2 className="text-xl font-semibold mb-4 text-green-300">2. Video Preview & Subtitles 🎬</h2>
-          <div className="w-full bg-black rounded-lg aspect-video flex items-center justify-center mb-6 relative overflow-hidden">
+          <div className="flex flex-wrap items-center gap-3 mb-4">
+            <h2 className="text-xl font-semibold text-green-300 mr-auto">2. Video Preview & Subtitles 🎬</h2>
+            <select
+              value={videoFormat.aspectRatio}
+              onChange={(e) => setVideoFormat(prev => ({ ...prev, aspectRatio: e.target.value }))}
+              disabled={isExporting}
+              className="bg-gray-700 text-white p-2 rounded-full border border-gray-600 focus:outline-none focus:ring-2 focus:ring-green-500"
+            >
+              {aspectRatios.map((a) => (
+                <option key={a.id} value={a.id}>{a.name}</option>
+              ))}
+            </select>
+            <select
+              value={videoFormat.resolution}
+              onChange={(e) => setVideoFormat(prev => ({ ...prev, resolution: e.target.value }))}
+              disabled={isExporting}
+              className="bg-gray-700 text-white p-2 rounded-full border border-gray-600 focus:outline-none focus:ring-2 focus:ring-green-500"
+            >
+              {exportResolutions.map((r) => {
+                const size = getFrameSize(videoFormat.aspectRatio, r.id);
+                return <option key={r.id} value={r.id}>{r.name} ({size.width}x{size.height})</option>;
+              })}
+            </select>
+            <label className="text-sm flex items-center gap-1">
+              <input type="checkbox" checked={showSafeArea} onChange={(e) => setShowSafeArea(e.target.checked)} />
+              Safe area
+            </label>
+          </div>
+          <div
+            className="bg-black rounded-lg flex items-center justify-center mb-6 relative overflow-hidden mx-auto"
+            style={{ aspectRatio: `${previewSize.width} / ${previewSize.height}`, width: `min(100%, ${Math.round(70 * previewLayout.ratio)}vh)` }}
+          >
             {isGenerating ? (
               <div className="flex flex-col items-center w-full p-8">
                 <div className="w-full bg-gray-700 rounded-full h-2.5 dark:bg-gray-700 mb-4">
@@ -456,25 +4782,121 @@ const App = () => {
               </div>
             ) : videoSrc ? (
               <>
-                <canvas ref={videoRef} width="640" height="360" className="absolute inset-0 w-full h-full object-contain"></canvas>
-                <audio ref={audioRef} src={videoSrc.audio} className="w-full mt-auto" controls></audio>
-                <audio ref={musicRef} src={backgroundMusicUrl} loop style={{ display: 'none' }}></audio>
+                <canvas ref={videoRef} width={previewSize.width} height={previewSize.height} className="absolute inset-0 w-full h-full object-contain"></canvas>
+                {showSafeArea && (
+                  <div
+                    className="absolute border border-dashed border-yellow-400 pointer-events-none"
+                    style={{
+                      top: `${previewLayout.safeArea.top * 100}%`,
+                      right: `${previewLayout.safeArea.right * 100}%`,
+                      bottom: `${previewLayout.safeArea.bottom * 100}%`,
+                      left: `${previewLayout.safeArea.left * 100}%`,
+                    }}
+                  ></div>
+                )}
                 {soundEffects.map(sfx => <audio key={sfx.id} id={sfx.id} src={sfx.src} style={{ display: 'none' }}></audio>)}
-                <div className="absolute bottom-16 left-0 right-0 p-4 text-center">
-                  <p className="bg-black bg-opacity-70 text-white text-lg font-bold px-4 py-2 rounded-lg inline-block subtitle-animation">
-                    {currentSubtitle}
-                  </p>
-                </div>
               </>
             ) : (
               <span className="text-gray-400 text-sm">Your video will appear here after it's generated.</span>
             )}
           </div>
+          {!isGenerating && videoSrc && (
+            // Below the frame rather than over it, so the controls never hide the captions
+            <audio
+              ref={audioRef}
+              src={videoSrc.audio}
+              onLoadedMetadata={(e) => { e.target.currentTime = Math.min(playbackTime, e.target.duration || 0); }}
+              className="w-full -mt-4 mb-6"
+              controls
+            ></audio>
+          )}
+          {videoSrc && (
+            <div className="flex flex-wrap items-center gap-3">
+              <span className="text-sm">Export {getFrameSize(videoFormat.aspectRatio, videoFormat.resolution).width}x{getFrameSize(videoFormat.aspectRatio, videoFormat.resolution).height}:</span>
+              <select
+                value={exportSettings.bitrate}
+                onChange={(e) => setExportSettings(prev => ({ ...prev, bitrate: e.target.value }))}
+                disabled={isExporting}
+                className="bg-gray-700 text-white p-2 rounded-full border border-gray-600 focus:outline-none focus:ring-2 focus:ring-green-500"
+              >
+                {exportBitrates.map((b) => (
+                  <option key={b.id} value={b.id}>{b.name}</option>
+                ))}
+              </select>
+              <select
+                value={exportSettings.format}
+                onChange={(e) => setExportSettings(prev => ({ ...prev, format: e.target.value }))}
+                disabled={isExporting}
+                className="bg-gray-700 text-white p-2 rounded-full border border-gray-600 focus:outline-none focus:ring-2 focus:ring-green-500"
+              >
+                {exportFormats.map((f) => (
+                  <option key={f.id} value={f.id}>{f.name}</option>
+                ))}
+              </select>
+              <button
+                onClick={handleExportVideo}
+                disabled={isExporting || isGenerating}
+                className="bg-orange-600 hover:bg-orange-700 text-white font-semibold py-2 px-6 rounded-full transition-colors duration-200 shadow-md disabled:bg-gray-700 disabled:cursor-not-allowed"
+              >
+                {isExporting ? `Exporting... ${exportProgress}%` : 'Export Video 🎥'}
+              </button>
+              {isExporting && (
+                <div className="w-full bg-gray-700 rounded-full h-2.5">
+                  <div className="bg-orange-500 h-2.5 rounded-full" style={{ width: `${exportProgress}%` }}></div>
+                </div>
+              )}
+            </div>
+          )}
         </div>
       </div>
 
       <div className="bg-gray-800 p-6 rounded-lg shadow-inner">
-        <h2 className="text-xl font-semibold mb-4 text-green-300">3. Video Timeline 🎞️</h2>
+        <div className="flex flex-wrap items-center gap-3 mb-4">
+          <h2 className="text-xl font-semibold text-green-300 mr-auto">3. Video Timeline 🎞️</h2>
+          <label className={`bg-purple-600 hover:bg-purple-700 text-white text-sm font-semibold py-2 px-4 rounded-full transition-colors duration-200 ${isGenerating ? 'opacity-50 cursor-not-allowed' : 'cursor-pointer'}`}>
+            Add Images/Clips
+            <input
+              type="file"
+              accept="image/*,video/*"
+              multiple
+              disabled={isGenerating}
+              onChange={(e) => {
+                const files = [...e.target.files];
+                e.target.value = '';
+                handleAddMediaScenes(files);
+              }}
+              className="hidden"
+            />
+          </label>
+          {videoSrc && (
+            <>
+              <label
+                title="Replaces all narration. The file is cut where each scene starts."
+                className={`bg-purple-600 hover:bg-purple-700 text-white text-sm font-semibold py-2 px-4 rounded-full transition-colors duration-200 ${isGenerating || recordingTarget ? 'opacity-50 cursor-not-allowed' : 'cursor-pointer'}`}
+              >
+                Upload Voice-over
+                <input
+                  type="file"
+                  accept="audio/*"
+                  disabled={isGenerating || recordingTarget !== null}
+                  onChange={(e) => {
+                    const file = e.target.files[0];
+                    e.target.value = '';
+                    if (file) handleNarrationFile(file, 'all');
+                  }}
+                  className="hidden"
+                />
+              </label>
+              <button
+                onClick={() => handleToggleRecording('all')}
+                disabled={isGenerating || (recordingTarget !== null && recordingTarget !== 'all')}
+                className="bg-red-600 hover:bg-red-700 text-white text-sm font-semibold py-2 px-4 rounded-full transition-colors duration-200 disabled:bg-gray-600 disabled:cursor-not-allowed"
+              >
+                {recordingTarget === 'all' ? '■ Stop Recording' : '● Record Voice-over'}
+              </button>
+            </>
+          )}
+        </div>
         {selectedClip ? (
             <div className="bg-gray-700 p-4 rounded-lg flex flex-col sm:flex-row items-center gap-4 mb-4">
               <span className="text-sm font-semibold">Editing: {selectedClip.name}</span>
@@ -482,6 +4904,8 @@ const App = () => {
                 <label className="text-sm">Duration (s):</label>
                 <input
                   type="number"
+                  min="0.1"
+                  step="0.1"
                   value={selectedClip.duration}
                   onChange={handleTimingChange}
                   className="w-16 bg-gray-800 text-white rounded-md p-1 text-center"
@@ -489,9 +4913,65 @@ const App = () => {
               </div>
               <button
                 onClick={handleSwapClip}
-                className="bg-purple-600 hover:bg-purple-700 text-white font-semibold py-2 px-4 rounded-full transition-colors duration-200"
+                disabled={selectedClip.isSwapping}
+                className="bg-purple-600 hover:bg-purple-700 text-white font-semibold py-2 px-4 rounded-full transition-colors duration-200 disabled:bg-gray-600 disabled:cursor-not-allowed"
+              >
+                {selectedClip.isSwapping ? 'Swapping...' : 'Swap Clip'}
+              </button>
+              <label className="bg-purple-600 hover:bg-purple-700 text-white font-semibold py-2 px-4 rounded-full transition-colors duration-200 cursor-pointer">
+                Use My Media
+                <input
+                  type="file"
+                  accept="image/*,video/*"
+                  onChange={(e) => {
+                    const file = e.target.files[0];
+                    e.target.value = '';
+                    if (file) handleReplaceSceneMedia(selectedClip.id, file);
+                  }}
+                  className="hidden"
+                />
+              </label>
+              <label className="bg-purple-600 hover:bg-purple-700 text-white font-semibold py-2 px-4 rounded-full transition-colors duration-200 cursor-pointer">
+                Upload Narration
+                <input
+                  type="file"
+                  accept="audio/*"
+                  disabled={recordingTarget !== null}
+                  onChange={(e) => {
+                    const file = e.target.files[0];
+                    e.target.value = '';
+                    if (file) handleNarrationFile(file, selectedClip.id);
+                  }}
+                  className="hidden"
+                />
+              </label>
+              <button
+                onClick={() => handleToggleRecording(selectedClip.id)}
+                disabled={recordingTarget !== null && recordingTarget !== selectedClip.id}
+                className="bg-red-600 hover:bg-red-700 text-white font-semibold py-2 px-4 rounded-full transition-colors duration-200 disabled:bg-gray-600 disabled:cursor-not-allowed"
+              >
+                {recordingTarget === selectedClip.id ? '■ Stop' : '● Record'}
+              </button>
+              <button
+                onClick={handleSplitScene}
+                disabled={selectedClip.isSwapping}
+                className="bg-blue-600 hover:bg-blue-700 text-white font-semibold py-2 px-4 rounded-full transition-colors duration-200 disabled:bg-gray-600 disabled:cursor-not-allowed"
+              >
+                Split at Playhead
+              </button>
+              <button
+                onClick={handleDuplicateScene}
+                disabled={selectedClip.isSwapping}
+                className="bg-blue-600 hover:bg-blue-700 text-white font-semibold py-2 px-4 rounded-full transition-colors duration-200 disabled:bg-gray-600 disabled:cursor-not-allowed"
               >
-                Swap Clip
+                Duplicate
+              </button>
+              <button
+                onClick={handleDeleteScene}
+                disabled={selectedClip.isSwapping}
+                className="bg-red-600 hover:bg-red-700 text-white font-semibold py-2 px-4 rounded-full transition-colors duration-200 disabled:bg-gray-600 disabled:cursor-not-allowed"
+              >
+                Delete
               </button>
               <button
                 onClick={() => setSelectedClip(null)}
@@ -501,46 +4981,226 @@ const App = () => {
               </button>
             </div>
           ) : null}
-        <div className="w-full min-h-[150px] bg-gray-700 rounded-lg p-4 flex items-center overflow-x-auto gap-2 border-2 border-dashed border-gray-600 transition-colors">
-          {timelineItems.length > 0 ? (
-            timelineItems.map(item => (
-              <div
-                key={item.id}
-                onClick={() => item.type === 'video' ? setSelectedClip(item) : null}
-                className={`flex-shrink-0 relative rounded-lg overflow-hidden h-24 w-32 shadow-md border-2 ${selectedClip && selectedClip.id === item.id ? 'border-yellow-500' : 'border-gray-600'} transition-colors duration-200`}
-                style={{ backgroundColor: item.type === 'video' ? '#22c55e' : '#ef4444' }}
-              >
-                {item.type === 'video' && <img src={item.src} alt={item.name} className="w-full h-full object-cover" />}
-                <div className="absolute inset-0 bg-black bg-opacity-30 flex items-center justify-center p-2">
-                  <span className="text-xs font-semibold text-center leading-tight">
-                    {item.name}
-                  </span>
+        {selectedClip && selectedClip.versions && selectedClip.versions.length > 0 && (selectedClip.versions.length > 1 || selectedClip.clip) && (
+          <div className="bg-gray-700 p-4 rounded-lg mb-4">
+            <span className="text-sm font-semibold block mb-2">Version history</span>
+            <div className="flex gap-2 overflow-x-auto">
+              {selectedClip.versions.map((src, index) => (
+                <button
+                  key={index}
+                  onClick={() => handleSelectVersion(src)}
+                  className={`flex-shrink-0 relative h-16 w-28 rounded-md overflow-hidden border-2 ${src === selectedClip.src ? 'border-yellow-500' : 'border-gray-600'}`}
+                >
+                  <img src={src} alt={`Version ${index + 1}`} className="w-full h-full object-cover" />
+                  <span className="absolute bottom-0 right-0 bg-black bg-opacity-70 text-xs px-1">v{index + 1}</span>
+                </button>
+              ))}
+            </div>
+          </div>
+        )}
+        {selectedClip && (
+          <div className="bg-gray-700 p-4 rounded-lg mb-4 flex flex-col gap-3">
+            <div className="flex flex-wrap items-center gap-4">
+              <label className="text-sm flex items-center gap-2">
+                Motion:
+                <select
+                  value={(motionPresets.find(p => JSON.stringify({ start: p.start, end: p.end }) === JSON.stringify(selectedClip.motion || defaultMotion)) || { id: 'custom' }).id}
+                  onChange={(e) => {
+                    const preset = motionPresets.find(p => p.id === e.target.value);
+                    if (preset) handleSceneSettingsChange({ motion: { start: preset.start, end: preset.end } });
+                  }}
+                  className="bg-gray-800 text-white p-1 rounded-md"
+                >
+                  {motionPresets.map((p) => (
+                    <option key={p.id} value={p.id}>{p.name}</option>
+                  ))}
+                  <option value="custom" disabled>Custom</option>
+                </select>
+              </label>
+              <label className="text-sm flex items-center gap-2">
+                Transition in:
+                <select
+                  value={(selectedClip.transition || defaultTransition).type}
+                  onChange={(e) => handleSceneSettingsChange({ transition: { ...(selectedClip.transition || defaultTransition), type: e.target.value } })}
+                  className="bg-gray-800 text-white p-1 rounded-md"
+                >
+                  {transitionTypes.map((t) => (
+                    <option key={t.id} value={t.id}>{t.name}</option>
+                  ))}
+                </select>
+              </label>
+              <label className="text-sm flex items-center gap-2">
+                Length (s):
+                <input
+                  type="number"
+                  min="0.1"
+                  max="3"
+                  step="0.1"
+                  value={(selectedClip.transition || defaultTransition).duration}
+                  onChange={(e) => {
+                    const duration = parseFloat(e.target.value);
+                    if (!isNaN(duration) && duration > 0) {
+                      handleSceneSettingsChange({ transition: { ...(selectedClip.transition || defaultTransition), duration } }, 'transition');
+                    }
+                  }}
+                  className="w-16 bg-gray-800 text-white rounded-md p-1 text-center"
+                />
+              </label>
+              {selectedClip.clip && (
+                <label className="text-sm flex items-center gap-2">
+                  Clip starts at (s):
+                  <input
+                    type="number"
+                    min="0"
+                    max={Math.max(0, Math.floor(selectedClip.clip.duration * 10) / 10 - 0.1)}
+                    step="0.1"
+                    value={selectedClip.clip.trimStart}
+                    onChange={(e) => {
+                      const trimStart = parseFloat(e.target.value);
+                      if (!isNaN(trimStart) && trimStart >= 0 && trimStart < selectedClip.clip.duration) {
+                        handleSceneSettingsChange({ clip: { ...selectedClip.clip, trimStart } }, 'trim');
+                      }
+                    }}
+                    className="w-16 bg-gray-800 text-white rounded-md p-1 text-center"
+                  />
+                  <span className="text-xs text-gray-400">of {selectedClip.clip.duration.toFixed(1)}s</span>
+                </label>
+              )}
+            </div>
+            {selectedClip.imgObject && (
+              <div className="flex items-start gap-3 text-xs">
+                <div
+                  onClick={(e) => {
+                    const rect = e.currentTarget.getBoundingClientRect();
+                    handleSceneSettingsChange({ focus: { x: clamp((e.clientX - rect.left) / rect.width, 0, 1), y: clamp((e.clientY - rect.top) / rect.height, 0, 1) } });
+                  }}
+                  className="relative h-24 flex-shrink-0 cursor-crosshair overflow-hidden rounded-md"
+                  style={{ aspectRatio: `${selectedClip.imgObject.width} / ${selectedClip.imgObject.height}` }}
+                  title="Click to set the focal point"
+                >
+                  <img src={selectedClip.src} alt="Focal point" className="w-full h-full" />
+                  {(() => {
+                    const crop = getCropRect(selectedClip.imgObject, selectedClip.focus || defaultFocus, previewSize.width / previewSize.height);
+                    return (
+                      <div
+                        className="absolute border-2 border-yellow-400 pointer-events-none"
+                        style={{ left: `${crop.x * 100}%`, top: `${crop.y * 100}%`, width: `${crop.width * 100}%`, height: `${crop.height * 100}%`, boxShadow: '0 0 0 999px rgba(0, 0, 0, 0.5)' }}
+                      ></div>
+                    );
+                  })()}
+                  <div
+                    className="absolute w-2 h-2 -ml-1 -mt-1 rounded-full bg-yellow-400 pointer-events-none"
+                    style={{ left: `${(selectedClip.focus || defaultFocus).x * 100}%`, top: `${(selectedClip.focus || defaultFocus).y * 100}%` }}
+                  ></div>
                 </div>
+                <span className="text-gray-300">
+                  <span className="font-semibold block">Focal point</span>
+                  Click the image to choose what stays in frame when it is cropped to {videoFormat.aspectRatio}.
+                </span>
               </div>
-            ))
-          ) : (
+            )}
+            <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+              {['start', 'end'].map((edge) => (
+                <div key={edge} className="flex flex-col gap-1 text-xs">
+                  <span className="font-semibold">{edge === 'start' ? 'Start framing' : 'End framing'}</span>
+                  {[
+                    { key: 'zoom', label: 'Zoom', min: 1, max: 2 },
+                    { key: 'x', label: 'Horizontal', min: 0, max: 1 },
+                    { key: 'y', label: 'Vertical', min: 0, max: 1 },
+                  ].map(({ key, label, min, max }) => (
+                    <label key={key} className="flex items-center gap-2">
+                      <span className="w-20">{label}</span>
+                      <input
+                        type="range"
+                        min={min}
+                        max={max}
+                        step="0.01"
+                        value={(selectedClip.motion || defaultMotion)[edge][key]}
+                        onChange={(e) => handleFramingChange(edge, key, Number(e.target.value))}
+                        className="flex-1"
+                      />
+                    </label>
+                  ))}
+                </div>
+              ))}
+            </div>
+          </div>
+        )}
+        {soundEffects.filter(sfx => sfx.id === selectedEffectId).map(sfx => (
+          <div key={sfx.id} className="bg-gray-700 p-4 rounded-lg flex flex-col sm:flex-row items-center gap-4 mb-4">
+            <span className="text-sm font-semibold">Sound effect: {sfx.name}</span>
+            <label className="text-sm flex items-center gap-2">
+              Start (s):
+              <input
+                type="number"
+                min="0"
+                step="0.05"
+                value={Math.round(sfx.startTime * 100) / 100}
+                onChange={(e) => {
+                  const startTime = parseFloat(e.target.value);
+                  if (!isNaN(startTime) && startTime >= 0) handleEffectChange(sfx.id, { startTime });
+                }}
+                className="w-20 bg-gray-800 text-white rounded-md p-1 text-center"
+              />
+            </label>
+            <label className="text-sm flex items-center gap-2">
+              Volume:
+              <input
+                type="range"
+                min="0"
+                max="1"
+                step="0.05"
+                value={sfx.volume ?? 1}
+                onChange={(e) => handleEffectChange(sfx.id, { volume: Number(e.target.value) })}
+              />
+            </label>
+            <button
+              onClick={() => handleDeleteEffect(sfx.id)}
+              className="bg-red-600 hover:bg-red-700 text-white font-semibold py-2 px-4 rounded-full transition-colors duration-200"
+            >
+              Delete
+            </button>
+            <button
+              onClick={() => setSelectedEffectId(null)}
+              className="bg-gray-600 hover:bg-gray-700 text-white font-semibold py-2 px-4 rounded-full transition-colors duration-200"
+            >
+              Done
+            </button>
+          </div>
+        ))}
+        {videoSrc ? (
+          <Timeline
+            scenes={videoSrc.images}
+            subtitles={subtitles}
+            soundEffects={soundEffects}
+            musicUrl={backgroundMusicUrl}
+            currentTime={playbackTime}
+            selectedSceneId={selectedClip ? selectedClip.id : null}
+            selectedEffectId={selectedEffectId}
+            onSelectScene={setSelectedClip}
+            onSelectEffect={setSelectedEffectId}
+            onSeek={handleSeek}
+            onMoveScene={handleMoveScene}
+            onResizeScene={handleResizeScene}
+            onMoveEffect={(effectId, startTime) => handleEffectChange(effectId, { startTime })}
+            onDropMedia={handleReplaceSceneMedia}
+            onAddMedia={handleAddMediaScenes}
+          />
+        ) : (
+          <div
+            onDragOver={(e) => e.preventDefault()}
+            onDrop={(e) => {
+              e.preventDefault();
+              if (e.dataTransfer.files.length > 0) handleAddMediaScenes(e.dataTransfer.files);
+            }}
+            className="w-full min-h-[150px] bg-gray-700 rounded-lg p-4 flex items-center border-2 border-dashed border-gray-600"
+          >
             <p className="text-gray-500 w-full text-center">
-              Generated assets will appear here automatically.
+              Generated assets will appear here automatically, or drop your own images and video clips here.
             </p>
-          )}
-        </div>
+          </div>
+        )}
       </div>
-      <style>{`
-        .subtitle-animation {
-          animation: fadeInOut 2s ease-in-out infinite;
-        }
-
-        @keyframes fadeInOut {
-          0%, 100% {
-            opacity: 0;
-            transform: translateY(10px);
-          }
-          20%, 80% {
-            opacity: 1;
-            transform: translateY(0);
-          }
-        }
-      `}</style>
     </div>
   );
 };
@@ -0,0 +1,327 @@
+#!/usr/bin/env node
+// Batch generation without the editor. Reads a CSV or JSON list of scripts and writes one asset package
+// per row: narration, images, subtitles, and the manifest with its FFmpeg script, EDL and FCPXML. With
+// --render and FFmpeg installed, each package is also rendered to a video. A report of every row is
+// written to report.json next to the packages.
+//
+//   node batch.mjs scripts.csv --out videos --providers providers.json --render
+//
+// Every row needs a `script`. Optional columns: name, voice, speakerVoices ("Anna=Kore; Ben=Puck"), style
+// (a style preset ID), styleWords, negativePrompt, seed, aspectRatio, resolution, language, split (a split
+// mode ID) and sceneSeconds. The providers file has the shape of the editor's provider settings; fields
+// it leaves out keep their defaults.
+
+import { readFile, writeFile, mkdir, readdir } from 'node:fs/promises';
+import { spawn } from 'node:child_process';
+import path from 'node:path';
+import { pathToFileURL } from 'node:url';
+import {
+  aspectRatios, exportResolutions, defaultVideoFormat, buildVoiceOverTrack, getTimelineDuration,
+  defaultProviderSettings, mergeProviderSettings, stylePresets, defaultVisualStyle, splitModes,
+  defaultSplitSettings, generateVideo, collectPackageFiles, describeError,
+} from './pipeline.mjs';
+
+const USAGE = `Usage: node batch.mjs <scripts.csv|scripts.json> [--out <folder>] [--providers <settings.json>] [--render]
+
+  --out        Folder for the packages and report.json (default: batch-output)
+  --providers  Provider settings as JSON, e.g. {"image": "http", "configs": {"http": {"endpoint": "..."}}}
+  --render     Render each package with its FFmpeg script when FFmpeg is installed`;
+
+/**
+ * Parses CSV text with a header row. Quoted fields may hold commas, line breaks and doubled quotes.
+ * @param {string} text - The CSV file contents.
+ * @returns {Array} One object per row, keyed by the header names.
+ */
+export const parseCsv = (text) => {
+  const records = [];
+  let record = [];
+  let field = '';
+  let quoted = false;
+  const source = text.replace(/^\uFEFF/, '');
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+    if (quoted) {
+      if (char === '"' && source[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      record.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && source[i + 1] === '\n') i++;
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field || record.length > 0) {
+    record.push(field);
+    records.push(record);
+  }
+  const [header = [], ...rows] = records.filter(r => r.some(value => value.trim()));
+  return rows.map(r => Object.fromEntries(header.map((key, i) => [key.trim(), r[i] ?? ''])));
+};
+
+/**
+ * Reads a batch file: a JSON array of rows, or a CSV file with a header row.
+ * @param {string} file - Path to a .json or .csv file.
+ * @returns {Array} The rows.
+ */
+export const readBatchFile = async (file) => {
+  const text = await readFile(file, 'utf8');
+  const rows = path.extname(file).toLowerCase() === '.json' ? JSON.parse(text) : parseCsv(text);
+  if (!Array.isArray(rows)) {
+    throw new Error(`${file} must hold a list of rows.`);
+  }
+  return rows;
+};
+
+/**
+ * Reads speaker voices given as an object or as "Name=voice" pairs separated by semicolons.
+ * @param {object|string} value - The row's `speakerVoices`.
+ * @returns {object} Voice IDs by speaker name.
+ */
+const parseSpeakerVoices = (value) => {
+  if (!value) return {};
+  if (typeof value === 'object') return value;
+  return Object.fromEntries(String(value).split(/[;\n]/)
+    .map(pair => pair.split('=').map(part => part.trim()))
+    .filter(([speaker, voice]) => speaker && voice));
+};
+
+/**
+ * Turns a batch row into generation settings, checking IDs against the ones the editor offers.
+ * @param {object} row - A row from `readBatchFile`.
+ * @param {number} index - The row's position, used to name unnamed rows.
+ * @returns {object} The `name`, `script`, voices, `visualStyle`, `videoFormat` and `splitSettings`.
+ */
+export const readBatchRow = (row, index) => {
+  const script = String(row.script || '').trim();
+  if (!script) {
+    throw new Error('The row has no script.');
+  }
+  const pick = (value, options, label, fallback) => {
+    if (value === undefined || value === null || value === '') return fallback;
+    if (!options.some(option => option.id === value)) {
+      throw new Error(`Unknown ${label} "${value}"; use one of ${options.map(option => option.id).join(', ')}.`);
+    }
+    return value;
+  };
+  let locale = defaultSplitSettings.locale;
+  if (row.language) {
+    try {
+      [locale] = Intl.getCanonicalLocales(String(row.language).trim());
+    } catch (error) {
+      throw new Error(`Language "${row.language}" is not a valid language tag; use one like en-US or de.`);
+    }
+  }
+  const seed = row.seed === undefined || row.seed === null || row.seed === '' ? null : Number(row.seed);
+  if (seed !== null && !Number.isInteger(seed)) {
+    throw new Error(`Seed "${row.seed}" is not a whole number.`);
+  }
+  return {
+    name: String(row.name || '').trim() || `video-${String(index + 1).padStart(3, '0')}`,
+    script,
+    selectedVoice: row.voice || null,
+    speakerVoices: parseSpeakerVoices(row.speakerVoices),
+    visualStyle: {
+      ...defaultVisualStyle,
+      preset: pick(row.style, stylePresets, 'style', defaultVisualStyle.preset),
+      custom: String(row.styleWords || ''),
+      negativePrompt: String(row.negativePrompt || ''),
+      seed,
+    },
+    videoFormat: {
+      aspectRatio: pick(row.aspectRatio, aspectRatios, 'aspect ratio', defaultVideoFormat.aspectRatio),
+      resolution: pick(row.resolution, exportResolutions, 'resolution', defaultVideoFormat.resolution),
+    },
+    splitSettings: {
+      ...defaultSplitSettings,
+      mode: pick(row.split, splitModes, 'split mode', defaultSplitSettings.mode),
+      locale,
+      targetSeconds: Number(row.sceneSeconds) || defaultSplitSettings.targetSeconds,
+    },
+  };
+};
+
+/**
+ * Writes a package's files into a folder.
+ * @param {string} folder - The package folder, created if needed.
+ * @param {Array} files - Files from `collectPackageFiles`.
+ */
+const writePackage = async (folder, files) => {
+  await mkdir(folder, { recursive: true });
+  for (const file of files) {
+    const data = typeof file.data === 'string' ? file.data : Buffer.from(await file.data.arrayBuffer());
+    await writeFile(path.join(folder, file.name), data, file.executable ? { mode: 0o755 } : {});
+  }
+};
+
+/**
+ * Runs a command and resolves once it exits.
+ * @param {string} command - The program.
+ * @param {Array} args - Its arguments.
+ * @param {string} cwd - The working folder.
+ * @returns {object} The exit `code`, or null if the program could not start, and the end of its error output.
+ */
+const runCommand = (command, args, cwd) => {
+  return new Promise((resolve) => {
+    let stderr = '';
+    const child = spawn(command, args, { cwd, stdio: ['ignore', 'ignore', 'pipe'] });
+    child.stderr.on('data', (chunk) => {
+      stderr = (stderr + chunk).slice(-2000);
+    });
+    child.on('error', () => resolve({ code: null, stderr }));
+    child.on('close', (code) => resolve({ code, stderr }));
+  });
+};
+
+/**
+ * Renders a written package with its FFmpeg script.
+ * @param {string} folder - The package folder.
+ * @returns {string} The path of the rendered video.
+ */
+const renderPackage = async (folder) => {
+  const { code, stderr } = await runCommand('sh', ['render-ffmpeg.sh'], folder);
+  if (code !== 0) {
+    const lastLine = stderr.trim().split('\n').pop();
+    throw new Error(`FFmpeg failed${lastLine ? `: ${lastLine}` : '.'}`);
+  }
+  const video = (await readdir(folder)).find(name => name.endsWith('.mp4'));
+  return video ? path.join(folder, video) : null;
+};
+
+/**
+ * Generates a package for every row. Rows run one after another, each generating its scenes a few
+ * at a time; a row that fails is recorded in the report and the batch moves on.
+ * @param {Array} rows - Rows from `readBatchFile`.
+ * @param {object} options - The `outDir`, `providerSettings`, `render` to run FFmpeg, and `log` for progress lines.
+ * @returns {object} The report, also written to report.json in `outDir`.
+ */
+export const runBatch = async (rows, { outDir, providerSettings = defaultProviderSettings, render = false, log = console.log }) => {
+  await mkdir(outDir, { recursive: true });
+  const canRender = render && (await runCommand('ffmpeg', ['-version'], outDir)).code === 0;
+  if (render && !canRender) log('FFmpeg was not found; packages are written without videos.');
+
+  const folders = new Set();
+  const results = [];
+  for (let i = 0; i < rows.length; i++) {
+    const startedAt = Date.now();
+    const result = { row: i + 1, name: rows[i].name || null, status: 'failed', folder: null, scenes: 0, duration: 0, failedScenes: [], video: null, error: null };
+    try {
+      const { name, script, selectedVoice, speakerVoices, visualStyle, videoFormat, splitSettings } = readBatchRow(rows[i], i);
+      result.name = name;
+      const { scenes, subtitles, failures } = await generateVideo({
+        script,
+        splitSettings,
+        selectedVoice,
+        speakerVoices,
+        visualStyle,
+        aspectRatio: videoFormat.aspectRatio,
+        providerSettings,
+        onRetry: (message, error) => log(`[${i + 1}/${rows.length}] ${name}: ${message} ${describeError(error)}`),
+      });
+      result.failedScenes = failures;
+      if (scenes.length === 0) {
+        throw new Error(`No scenes could be generated. ${failures.length > 0 ? `Scene ${failures[0].index + 1}: ${failures[0].error}` : ''}`.trim());
+      }
+
+      const voiceOverUrl = URL.createObjectURL(buildVoiceOverTrack(scenes));
+      let files;
+      try {
+        files = await collectPackageFiles({ name, videoFormat, language: splitSettings.locale, voiceOverUrl, scenes, subtitles });
+      } finally {
+        URL.revokeObjectURL(voiceOverUrl);
+      }
+      let folderName = name.replace(/[^a-z0-9]+/gi, '-').replace(/^-|-$/g, '').toLowerCase() || 'video';
+      if (folders.has(folderName)) folderName = `${folderName}-${i + 1}`;
+      folders.add(folderName);
+      result.folder = path.join(outDir, folderName);
+      await writePackage(result.folder, files);
+      result.scenes = scenes.length;
+      result.duration = getTimelineDuration(scenes);
+      result.status = failures.length > 0 ? 'partial' : 'done';
+
+      if (canRender) {
+        try {
+          result.video = await renderPackage(result.folder);
+        } catch (error) {
+          result.status = 'partial';
+          result.error = error.message;
+        }
+      }
+    } catch (error) {
+      result.status = 'failed';
+      result.error = describeError(error);
+    }
+    result.seconds = Math.round((Date.now() - startedAt) / 100) / 10;
+    results.push(result);
+
+    const details = result.status === 'failed'
+      ? result.error
+      : `${result.scenes} scene${result.scenes === 1 ? '' : 's'}, ${result.duration.toFixed(1)} s${result.failedScenes.length > 0 ? `, ${result.failedScenes.length} failed` : ''}${result.error ? `, ${result.error}` : ''} -> ${result.folder}`;
+    log(`[${i + 1}/${rows.length}] ${result.name || `Row ${i + 1}`}: ${result.status}, ${details}`);
+  }
+
+  const report = {
+    createdAt: new Date().toISOString(),
+    total: results.length,
+    done: results.filter(r => r.status === 'done').length,
+    partial: results.filter(r => r.status === 'partial').length,
+    failed: results.filter(r => r.status === 'failed').length,
+    rows: results,
+  };
+  await writeFile(path.join(outDir, 'report.json'), JSON.stringify(report, null, 2));
+  return report;
+};
+
+/**
+ * Runs the command line: reads the arguments, runs the batch and sets the exit code.
+ * @param {Array} args - Command line arguments after the script name.
+ */
+const main = async (args) => {
+  const options = { out: 'batch-output', providers: null, render: false };
+  const inputs = [];
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--help' || args[i] === '-h') {
+      console.log(USAGE);
+      return;
+    } else if (args[i] === '--render') {
+      options.render = true;
+    } else if (args[i] === '--out' || args[i] === '--providers') {
+      options[args[i].slice(2)] = args[++i];
+    } else {
+      inputs.push(args[i]);
+    }
+  }
+  if (inputs.length !== 1 || !options.out) {
+    console.error(USAGE);
+    process.exitCode = 2;
+    return;
+  }
+
+  const providerSettings = options.providers
+    ? mergeProviderSettings(JSON.parse(await readFile(options.providers, 'utf8')))
+    : defaultProviderSettings;
+  const rows = await readBatchFile(inputs[0]);
+  const report = await runBatch(rows, { outDir: options.out, providerSettings, render: options.render });
+  console.log(`${report.done} done, ${report.partial} partial, ${report.failed} failed. Report: ${path.join(options.out, 'report.json')}`);
+  if (report.failed > 0) process.exitCode = 1;
+};
+
+if (process.argv[1] && import.meta.url === pathToFileURL(path.resolve(process.argv[1])).href) {
+  main(process.argv.slice(2)).catch((error) => {
+    console.error(error.message);
+    process.exitCode = 1;
+  });
+}
@@ -0,0 +1,1895 @@
+// The video pipeline without the editor: frame shapes, generation providers, script parsing, narration
+// and voice-over assembly, subtitles and interchange exports. App.jsx builds the editor on it, and
+// batch.mjs drives it from the command line under Node.
+
+// Frame shapes a project can use. The safe area is the inset, as fractions of the frame, that captions
+// stay inside so platform UI does not cover them; caption size is a fraction of the frame's short side.
+export const aspectRatios = [
+  { id: '16:9', name: '16:9 Landscape', ratio: 16 / 9, safeArea: { top: 0.05, right: 0.05, bottom: 0.1, left: 0.05 }, captionSize: 0.05 },
+  { id: '9:16', name: '9:16 Vertical', ratio: 9 / 16, safeArea: { top: 0.12, right: 0.12, bottom: 0.25, left: 0.06 }, captionSize: 0.065 },
+  { id: '1:1', name: '1:1 Square', ratio: 1, safeArea: { top: 0.06, right: 0.06, bottom: 0.1, left: 0.06 }, captionSize: 0.055 },
+  { id: '4:5', name: '4:5 Portrait', ratio: 4 / 5, safeArea: { top: 0.06, right: 0.06, bottom: 0.12, left: 0.06 }, captionSize: 0.06 },
+];
+
+// Output sizes, by the length of the frame's short side
+export const exportResolutions = [
+  { id: '360p', name: '360p', shortSide: 360 },
+  { id: '720p', name: '720p', shortSide: 720 },
+  { id: '1080p', name: '1080p', shortSide: 1080 },
+];
+
+export const defaultVideoFormat = { aspectRatio: '16:9', resolution: '720p' };
+
+export const getAspectRatio = (id) => aspectRatios.find(a => a.id === id) || aspectRatios[0];
+
+/**
+ * Returns the frame size for an aspect ratio at a resolution, rounded to even numbers for video encoders.
+ * @param {string} aspectRatioId - An `aspectRatios` ID.
+ * @param {string} resolutionId - An `exportResolutions` ID.
+ * @returns {object} The `{ width, height }` in pixels.
+ */
+export const getFrameSize = (aspectRatioId, resolutionId) => {
+  const { ratio } = getAspectRatio(aspectRatioId);
+  const { shortSide } = exportResolutions.find(r => r.id === resolutionId) || exportResolutions[0];
+  const even = (value) => Math.round(value / 2) * 2;
+  return ratio >= 1
+    ? { width: even(shortSide * ratio), height: shortSide }
+    : { width: shortSide, height: even(shortSide / ratio) };
+};
+
+export const EXPORT_FRAME_RATE = 30;
+export const EXPORT_SAMPLE_RATE = 48000;
+export const EXPORT_AUDIO_BITRATE = 128000;
+
+// Silence left after each narrated sentence before the next scene starts
+export const SCENE_PADDING_SECONDS = 0.3;
+
+/**
+ * Decodes base64 data into raw bytes.
+ * @param {string} base64Data - Base64 encoded data.
+ * @returns {Uint8Array} The decoded bytes.
+ */
+export const base64ToBytes = (base64Data) => {
+  const binary = atob(base64Data);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+};
+
+/**
+ * Encodes raw bytes as base64.
+ * @param {Uint8Array} bytes - The bytes to encode.
+ * @returns {string} Base64 encoded data.
+ */
+export const bytesToBase64 = (bytes) => {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+};
+
+/**
+ * Helper function to wrap raw PCM audio in a WAV Blob.
+ * The Gemini TTS API returns raw 16-bit mono PCM data, which needs a WAV header to be played.
+ * @param {Uint8Array} pcmData - Raw 16-bit little-endian mono PCM samples.
+ * @param {number} sampleRate - The sample rate of the audio (e.g., 24000).
+ * @returns {Blob} A Blob object containing the WAV audio.
+ */
+export const pcmToWav = (pcmData, sampleRate) => {
+  const wavData = new Uint8Array(44 + pcmData.byteLength);
+  const dv = new DataView(wavData.buffer);
+
+  // RIFF header
+  dv.setUint32(0, 0x52494646, false); // "RIFF"
+  dv.setUint32(4, 36 + pcmData.byteLength, true); // Chunk size
+  dv.setUint32(8, 0x57415645, false); // "WAVE"
+
+  // fmt sub-chunk
+  dv.setUint32(12, 0x666d7420, false); // "fmt "
+  dv.setUint32(16, 16, true); // Sub-chunk size
+  dv.setUint16(20, 1, true); // Audio format (1 for PCM)
+  dv.setUint16(22, 1, true); // Number of channels
+  dv.setUint32(24, sampleRate, true); // Sample rate
+  dv.setUint32(28, sampleRate * 2, true); // Byte rate
+  dv.setUint16(32, 2, true); // Block align
+  dv.setUint16(34, 16, true); // Bits per sample
+
+  // data sub-chunk
+  dv.setUint32(36, 0x64617461, false); // "data"
+  dv.setUint32(40, pcmData.byteLength, true); // Sub-chunk size
+
+  // Copy the PCM data
+  wavData.set(pcmData, 44);
+
+  return new Blob([wavData], { type: 'audio/wav' });
+};
+
+/**
+ * Returns the playback length of a narration clip in seconds.
+ * @param {object} clip - A clip with 16-bit mono PCM data and its sample rate.
+ * @returns {number} The clip length in seconds.
+ */
+export const getClipDuration = (clip) => clip.pcm.byteLength / 2 / clip.sampleRate;
+
+/**
+ * Lays scenes out back to back, so each one starts where the previous one ends.
+ * @param {Array} scenes - Scenes in playback order.
+ * @returns {Array} Copies of the scenes with updated start times.
+ */
+export const retimeScenes = (scenes) => {
+  let startTime = 0;
+  return scenes.map(scene => {
+    const retimed = { ...scene, startTime };
+    startTime += scene.duration;
+    return retimed;
+  });
+};
+
+/**
+ * Stitches each scene's narration clip into one continuous voice-over track.
+ * Every clip starts at its scene's start time and is cut off if the scene is shorter than the clip.
+ * @param {Array} scenes - Timed scenes carrying their narration in `voiceClip`.
+ * @returns {Blob} A WAV Blob covering the whole timeline.
+ */
+export const buildVoiceOverTrack = (scenes) => {
+  const clips = scenes.filter(scene => scene.voiceClip);
+  const sampleRate = clips.length > 0 ? clips[0].voiceClip.sampleRate : 24000;
+  const totalSamples = Math.ceil(getTimelineDuration(scenes) * sampleRate);
+  const pcm = new Uint8Array(totalSamples * 2);
+
+  clips.forEach(scene => {
+    if (scene.voiceClip.sampleRate !== sampleRate) {
+      throw new Error(`Narration for "${scene.prompt}" uses ${scene.voiceClip.sampleRate} Hz audio, expected ${sampleRate} Hz.`);
+    }
+    const offset = Math.round(scene.startTime * sampleRate) * 2;
+    const maxBytes = Math.min(Math.round(scene.duration * sampleRate) * 2, pcm.byteLength - offset);
+    pcm.set(scene.voiceClip.pcm.subarray(0, Math.max(0, maxBytes)), offset);
+  });
+
+  return pcmToWav(pcm, sampleRate);
+};
+
+/**
+ * Returns the length of the scene timeline in seconds.
+ * @param {Array} images - Scene images with startTime and duration.
+ * @returns {number} The end time of the last scene.
+ */
+export const getTimelineDuration = (images) => {
+  return images.reduce((end, image) => Math.max(end, image.startTime + image.duration), 0);
+};
+
+/**
+ * Draws a subtitle as wrapped, centered text on a translucent box at the bottom of the frame's safe area.
+ * @param {CanvasRenderingContext2D} ctx - The target canvas context.
+ * @param {string} text - The subtitle text.
+ * @param {number} width - Frame width in pixels.
+ * @param {number} height - Frame height in pixels.
+ * @param {object} layout - The frame's `aspectRatios` entry, for the safe area and caption size.
+ */
+const drawSubtitleText = (ctx, text, width, height, layout = aspectRatios[0]) => {
+  const { safeArea, captionSize } = layout;
+  const fontSize = Math.round(Math.min(width, height) * captionSize);
+  const lineHeight = Math.round(fontSize * 1.3);
+  const padding = Math.round(fontSize * 0.5);
+  const centerX = width * (safeArea.left + (1 - safeArea.left - safeArea.right) / 2);
+  const maxWidth = width * (1 - safeArea.left - safeArea.right) * 0.9;
+  ctx.font = `bold ${fontSize}px sans-serif`;
+
+  const lines = [];
+  let line = '';
+  text.split(/\s+/).filter(Boolean).forEach(word => {
+    const candidate = line ? `${line} ${word}` : word;
+    if (line && ctx.measureText(candidate).width > maxWidth) {
+      lines.push(line);
+      line = word;
+    } else {
+      line = candidate;
+    }
+  });
+  if (line) lines.push(line);
+  if (lines.length === 0) return;
+
+  const boxWidth = Math.max(...lines.map(l => ctx.measureText(l).width)) + padding * 2;
+  const boxHeight = lines.length * lineHeight + padding * 2;
+  const boxY = height - Math.round(height * safeArea.bottom) - boxHeight;
+
+  ctx.fillStyle = 'rgba(0, 0, 0, 0.7)';
+  ctx.fillRect(centerX - boxWidth / 2, boxY, boxWidth, boxHeight);
+  ctx.fillStyle = 'white';
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'middle';
+  lines.forEach((l, i) => {
+    ctx.fillText(l, centerX, boxY + padding + i * lineHeight + lineHeight / 2);
+  });
+};
+
+// Ken Burns presets. Framing is the focus point (0-1 across the image) and zoom factor at the start and end of a scene.
+export const motionPresets = [
+  { id: 'none', name: 'Still', start: { x: 0.5, y: 0.5, zoom: 1 }, end: { x: 0.5, y: 0.5, zoom: 1 } },
+  { id: 'zoomIn', name: 'Zoom in', start: { x: 0.5, y: 0.5, zoom: 1 }, end: { x: 0.5, y: 0.5, zoom: 1.3 } },
+  { id: 'zoomOut', name: 'Zoom out', start: { x: 0.5, y: 0.5, zoom: 1.3 }, end: { x: 0.5, y: 0.5, zoom: 1 } },
+  { id: 'panLeft', name: 'Pan left', start: { x: 0.65, y: 0.5, zoom: 1.25 }, end: { x: 0.35, y: 0.5, zoom: 1.25 } },
+  { id: 'panRight', name: 'Pan right', start: { x: 0.35, y: 0.5, zoom: 1.25 }, end: { x: 0.65, y: 0.5, zoom: 1.25 } },
+  { id: 'panUp', name: 'Pan up', start: { x: 0.5, y: 0.65, zoom: 1.25 }, end: { x: 0.5, y: 0.35, zoom: 1.25 } },
+  { id: 'panDown', name: 'Pan down', start: { x: 0.5, y: 0.35, zoom: 1.25 }, end: { x: 0.5, y: 0.65, zoom: 1.25 } },
+];
+
+// Transitions play centered on the cut into the scene that carries them
+export const transitionTypes = [
+  { id: 'cut', name: 'Cut' },
+  { id: 'crossfade', name: 'Crossfade' },
+  { id: 'slide', name: 'Slide' },
+  { id: 'wipe', name: 'Wipe' },
+  { id: 'dipToBlack', name: 'Dip to black' },
+];
+
+export const defaultMotion = { start: motionPresets[0].start, end: motionPresets[0].end };
+// The point of the image (0-1 across and down) kept in frame when the image is cropped to the frame shape
+export const defaultFocus = { x: 0.5, y: 0.5 };
+export const defaultTransition = { type: 'cut', duration: 0.5 };
+
+export const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+/**
+ * Returns a stable 32-bit hash of a string (FNV-1a), used to seed the offline provider.
+ * @param {string} text - The text to hash.
+ * @returns {number} An unsigned 32-bit hash.
+ */
+const hashString = (text) => {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+};
+
+/**
+ * Creates a small deterministic pseudo-random number generator (mulberry32).
+ * @param {number} seed - The seed value.
+ * @returns {function} A function returning numbers in [0, 1).
+ */
+const createRandom = (seed) => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+/**
+ * Synthesizes 16-bit mono PCM audio from a sample function.
+ * @param {number} seconds - Length of the audio.
+ * @param {number} sampleRate - The sample rate.
+ * @param {function} sampleAt - Returns the sample value in [-1, 1] for a time in seconds.
+ * @returns {Uint8Array} Little-endian 16-bit PCM data.
+ */
+const synthesizePcm = (seconds, sampleRate, sampleAt) => {
+  const length = Math.max(1, Math.round(seconds * sampleRate));
+  const pcm = new Uint8Array(length * 2);
+  const view = new DataView(pcm.buffer);
+  for (let i = 0; i < length; i++) {
+    const value = Math.max(-1, Math.min(1, sampleAt(i / sampleRate)));
+    view.setInt16(i * 2, Math.round(value * 32767), true);
+  }
+  return pcm;
+};
+
+/**
+ * Sends a JSON POST request and returns the parsed JSON response.
+ * Failed responses throw an error carrying the HTTP `status` and any `Retry-After` seconds.
+ * @param {string} url - The request URL.
+ * @param {object} body - The JSON payload.
+ * @param {object} headers - Extra request headers.
+ * @param {AbortSignal} signal - Cancels the request.
+ * @returns {object} The parsed response.
+ */
+const postJson = async (url, body, headers = {}, signal) => {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: JSON.stringify(body),
+    signal
+  });
+  if (!response.ok) {
+    const error = new Error(`Request to ${url} failed with status ${response.status}.`);
+    error.status = response.status;
+    error.retryAfter = parseInt(response.headers.get('Retry-After'), 10) || null;
+    throw error;
+  }
+  return response.json();
+};
+
+/*
+ * Generation providers. Each provider declares which capabilities it supports
+ * ('image', 'speech', 'music', 'soundEffect', 'prompt', 'translation') and implements the matching methods.
+ * Every method receives the provider's `{ endpoint, apiKey, signal }` config as its last argument,
+ * where `signal` cancels the request, and throws if generation fails:
+ *   listVoices(config)                     -> [{ id, name }]
+ *   generateImage(prompt, options, config) -> image URL; `options` holds the frame's `aspectRatio` (e.g. '9:16')
+ *                                             and the `negativePrompt` and `seed` the provider lists in
+ *                                             `imageOptions`, each null when unset
+ *   rewritePrompt(text, config)            -> a visual image prompt for a line of narration
+ *   translateScript(script, language, config) -> the script in another language, with its markup kept as is
+ *   generateSpeech(text, voiceId, config)  -> { pcm, sampleRate } (16-bit mono PCM); *asterisks* mark emphasis
+ *   generateMusic(prompt, config)          -> audio URL
+ *   generateSoundEffect(prompt, config)    -> audio URL
+ */
+
+// Google Gemini TTS and Imagen. The API key is provided automatically by the Canvas environment when left empty.
+const geminiProvider = {
+  id: 'gemini',
+  name: 'Google Gemini',
+  capabilities: ['image', 'speech', 'prompt', 'translation'],
+  imageOptions: [],
+  defaultEndpoint: 'https://generativelanguage.googleapis.com/v1beta',
+  // Model used for each capability; also part of the cache key for generated assets
+  models: {
+    image: 'imagen-3.0-generate-002',
+    speech: 'gemini-2.5-flash-preview-tts',
+    prompt: 'gemini-2.5-flash',
+    translation: 'gemini-2.5-flash',
+  },
+  listVoices: async () => [
+    { id: 'Kore', name: 'Kore (Firm)' },
+    { id: 'Puck', name: 'Puck (Upbeat)' },
+    { id: 'Zephyr', name: 'Zephyr (Bright)' },
+    { id: 'Charon', name: 'Charon (Informative)' },
+    { id: 'Fenrir', name: 'Fenrir (Excitable)' },
+    { id: 'Leda', name: 'Leda (Youthful)' },
+    { id: 'Orus', name: 'Orus (Firm)' },
+    { id: 'Aoede', name: 'Aoede (Breezy)' },
+  ],
+  generateImage: async (prompt, { aspectRatio }, { endpoint, apiKey, signal }) => {
+    const url = `${endpoint}/models/${geminiProvider.models.image}:predict?key=${apiKey}`;
+    // Imagen only takes a few shapes; ask for the closest and let the focal point crop do the rest
+    const ratioOf = (id) => id.split(':').reduce((w, h) => w / h);
+    const imagenRatio = ['1:1', '3:4', '4:3', '9:16', '16:9']
+      .reduce((best, id) => Math.abs(ratioOf(id) - ratioOf(aspectRatio)) < Math.abs(ratioOf(best) - ratioOf(aspectRatio)) ? id : best);
+    const payload = { instances: { prompt: prompt }, parameters: { "sampleCount": 1, "aspectRatio": imagenRatio } };
+    const result = await postJson(url, payload, {}, signal);
+    if (result.predictions && result.predictions.length > 0 && result.predictions[0].bytesBase64Encoded) {
+      return `data:image/png;base64,${result.predictions[0].bytesBase64Encoded}`;
+    }
+    throw new Error(`Gemini returned no image: ${JSON.stringify(result)}`);
+  },
+  generateSpeech: async (text, voiceId, { endpoint, apiKey, signal }) => {
+    const url = `${endpoint}/models/${geminiProvider.models.speech}:generateContent?key=${apiKey}`;
+    const payload = {
+        contents: [{ parts: [{ text: text.includes('*') ? `Read aloud, stressing the words between asterisks: ${text}` : text }] }],
+        generationConfig: {
+            responseModalities: ["AUDIO"],
+            speechConfig: {
+                voiceConfig: { prebuiltVoiceConfig: { voiceName: voiceId } }
+            }
+        },
+    };
+    const result = await postJson(url, payload, {}, signal);
+    const part = result?.candidates?.[0]?.content?.parts?.[0];
+    const audioData = part?.inlineData?.data;
+    const mimeType = part?.inlineData?.mimeType;
+    if (audioData && mimeType && mimeType.startsWith("audio/")) {
+      // Gemini speech is 24 kHz PCM; the rate is read from the mime type when it is given
+      const rate = mimeType.match(/rate=(\d+)/);
+      const sampleRate = rate ? parseInt(rate[1], 10) : 24000;
+      return { pcm: base64ToBytes(audioData), sampleRate };
+    }
+    throw new Error(`Gemini returned no audio: ${JSON.stringify(result)}`);
+  },
+  rewritePrompt: async (text, { endpoint, apiKey, signal }) => {
+    const url = `${endpoint}/models/${geminiProvider.models.prompt}:generateContent?key=${apiKey}`;
+    const payload = {
+      contents: [{ parts: [{ text: `Rewrite this line of video narration as a single image generation prompt describing what the viewer sees: subject, setting, composition and lighting. Reply with the prompt only, no quotes.\n\n${text}` }] }],
+    };
+    const result = await postJson(url, payload, {}, signal);
+    const prompt = result?.candidates?.[0]?.content?.parts?.[0]?.text;
+    if (prompt) return prompt.trim();
+    throw new Error(`Gemini returned no prompt: ${JSON.stringify(result)}`);
+  },
+  translateScript: async (script, language, { endpoint, apiKey, signal }) => {
+    const url = `${endpoint}/models/${geminiProvider.models.translation}:generateContent?key=${apiKey}`;
+    const instructions = `Translate this video narration script into ${language}. Keep every line break. Translate scene titles after "## ", but keep lines starting with "@" and bracketed tags such as [Anna] or [pause 2s] exactly as they are, and keep *asterisks* around the emphasized words. Reply with the translated script only.`;
+    const payload = { contents: [{ parts: [{ text: `${instructions}\n\n${script}` }] }] };
+    const result = await postJson(url, payload, {}, signal);
+    const translation = result?.candidates?.[0]?.content?.parts?.[0]?.text;
+    if (translation) return translation.trim();
+    throw new Error(`Gemini returned no translation: ${JSON.stringify(result)}`);
+  },
+};
+
+/*
+ * A self-hosted or mock server speaking a small JSON protocol. Requests carry
+ * `Authorization: Bearer <apiKey>` when a key is set.
+ *   GET  {endpoint}/voices                           -> [{ id, name }]
+ *   POST {endpoint}/images        { prompt, aspectRatio, negativePrompt, seed } -> { image: <base64 PNG> } or { url }
+ *   POST {endpoint}/prompts       { text }           -> { prompt }
+ *   POST {endpoint}/translations  { text, language } -> { text }
+ *   POST {endpoint}/speech        { text, voice }    -> { audio: <base64 16-bit mono PCM>, sampleRate }
+ *   POST {endpoint}/music         { prompt }         -> { audio: <base64 audio file>, mimeType } or { url }
+ *   POST {endpoint}/sound-effects { prompt }         -> { audio: <base64 audio file>, mimeType } or { url }
+ */
+const authHeaders = (apiKey) => apiKey ? { Authorization: `Bearer ${apiKey}` } : {};
+
+const audioResultToUrl = (result) => {
+  if (result.url) return result.url;
+  if (result.audio) return `data:${result.mimeType || 'audio/wav'};base64,${result.audio}`;
+  throw new Error(`Server returned no audio: ${JSON.stringify(result)}`);
+};
+
+const httpProvider = {
+  id: 'http',
+  name: 'Custom HTTP server',
+  capabilities: ['image', 'speech', 'music', 'soundEffect', 'prompt', 'translation'],
+  imageOptions: ['negativePrompt', 'seed'],
+  defaultEndpoint: 'http://localhost:8080',
+  listVoices: async ({ endpoint, apiKey }) => {
+    const response = await fetch(`${endpoint}/voices`, { headers: authHeaders(apiKey) });
+    if (!response.ok) {
+      throw new Error(`Request to ${endpoint}/voices failed with status ${response.status}.`);
+    }
+    return response.json();
+  },
+  generateImage: async (prompt, { aspectRatio, negativePrompt, seed }, { endpoint, apiKey, signal }) => {
+    const result = await postJson(`${endpoint}/images`, { prompt, aspectRatio, negativePrompt, seed }, authHeaders(apiKey), signal);
+    if (result.url) return result.url;
+    if (result.image) return `data:image/png;base64,${result.image}`;
+    throw new Error(`Server returned no image: ${JSON.stringify(result)}`);
+  },
+  generateSpeech: async (text, voiceId, { endpoint, apiKey, signal }) => {
+    const result = await postJson(`${endpoint}/speech`, { text, voice: voiceId }, authHeaders(apiKey), signal);
+    if (!result.audio || !result.sampleRate) {
+      throw new Error(`Server returned no audio: ${JSON.stringify(result)}`);
+    }
+    return { pcm: base64ToBytes(result.audio), sampleRate: result.sampleRate };
+  },
+  generateMusic: async (prompt, { endpoint, apiKey, signal }) => {
+    return audioResultToUrl(await postJson(`${endpoint}/music`, { prompt }, authHeaders(apiKey), signal));
+  },
+  generateSoundEffect: async (prompt, { endpoint, apiKey, signal }) => {
+    return audioResultToUrl(await postJson(`${endpoint}/sound-effects`, { prompt }, authHeaders(apiKey), signal));
+  },
+  rewritePrompt: async (text, { endpoint, apiKey, signal }) => {
+    const result = await postJson(`${endpoint}/prompts`, { text }, authHeaders(apiKey), signal);
+    if (!result.prompt) {
+      throw new Error(`Server returned no prompt: ${JSON.stringify(result)}`);
+    }
+    return result.prompt;
+  },
+  translateScript: async (script, language, { endpoint, apiKey, signal }) => {
+    const result = await postJson(`${endpoint}/translations`, { text: script, language }, authHeaders(apiKey), signal);
+    if (!result.text) {
+      throw new Error(`Server returned no translation: ${JSON.stringify(result)}`);
+    }
+    return result.text;
+  },
+};
+
+/**
+ * Converts an HSL color to RGB.
+ * @param {number} hue - Hue in degrees.
+ * @param {number} saturation - Saturation from 0 to 1.
+ * @param {number} lightness - Lightness from 0 to 1.
+ * @returns {Array} The `[r, g, b]` channels from 0 to 255.
+ */
+const hslToRgb = (hue, saturation, lightness) => {
+  const chroma = (1 - Math.abs(2 * lightness - 1)) * saturation;
+  const channel = (n) => {
+    const k = (n + hue / 30) % 12;
+    return Math.round((lightness - chroma / 2 * Math.max(-1, Math.min(k - 3, 9 - k, 1))) * 255);
+  };
+  return [channel(0), channel(8), channel(4)];
+};
+
+/**
+ * Draws the offline provider's diagonal gradient into a PNG without a canvas, using the
+ * stream compression both browsers and Node provide.
+ * @param {number} width - Image width in pixels.
+ * @param {number} height - Image height in pixels.
+ * @param {number} hue - Hue of the gradient's top-left corner, in degrees.
+ * @returns {string} A PNG data URL.
+ */
+const drawGradientPng = async (width, height, hue) => {
+  const from = hslToRgb(hue, 0.6, 0.35);
+  const to = hslToRgb((hue + 60) % 360, 0.6, 0.15);
+  // Each row of pixels is preceded by its filter type, 0 for none
+  const raw = new Uint8Array((width * 3 + 1) * height);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const t = (x * width + y * height) / (width * width + height * height);
+      const offset = y * (width * 3 + 1) + 1 + x * 3;
+      for (let c = 0; c < 3; c++) raw[offset + c] = Math.round(from[c] + (to[c] - from[c]) * t);
+    }
+  }
+  const compressed = new Uint8Array(await new Response(new Blob([raw]).stream().pipeThrough(new CompressionStream('deflate'))).arrayBuffer());
+
+  const crcTable = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    return c >>> 0;
+  });
+  const chunk = (type, data) => {
+    const bytes = new Uint8Array(12 + data.length);
+    const view = new DataView(bytes.buffer);
+    view.setUint32(0, data.length);
+    bytes.set([...type].map(ch => ch.charCodeAt(0)), 4);
+    bytes.set(data, 8);
+    let crc = 0xffffffff;
+    for (let i = 4; i < 8 + data.length; i++) crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+    view.setUint32(8 + data.length, (crc ^ 0xffffffff) >>> 0);
+    return bytes;
+  };
+  const header = new Uint8Array(13);
+  const headerView = new DataView(header.buffer);
+  headerView.setUint32(0, width);
+  headerView.setUint32(4, height);
+  header.set([8, 2, 0, 0, 0], 8); // 8-bit RGB, no interlace
+
+  const parts = [new Uint8Array([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]), chunk('IHDR', header), chunk('IDAT', compressed), chunk('IEND', new Uint8Array(0))];
+  const png = new Uint8Array(parts.reduce((total, part) => total + part.length, 0));
+  let offset = 0;
+  parts.forEach(part => {
+    png.set(part, offset);
+    offset += part.length;
+  });
+  return `data:image/png;base64,${bytesToBase64(png)}`;
+};
+
+// Offline provider: deterministic placeholder images and synthesized tones for development and demos
+export const LOCAL_SAMPLE_RATE = 24000;
+
+const localVoices = [
+  { id: 'bass', name: 'Bass Tone (offline)', pitch: 110 },
+  { id: 'tenor', name: 'Tenor Tone (offline)', pitch: 165 },
+  { id: 'alto', name: 'Alto Tone (offline)', pitch: 220 },
+  { id: 'soprano', name: 'Soprano Tone (offline)', pitch: 330 },
+];
+
+export const localProvider = {
+  id: 'local',
+  name: 'Offline placeholders',
+  capabilities: ['image', 'speech', 'music', 'soundEffect', 'prompt'],
+  imageOptions: ['seed'],
+  defaultEndpoint: '',
+  listVoices: async () => localVoices.map(({ id, name }) => ({ id, name })),
+  generateImage: async (prompt, { aspectRatio, seed }) => {
+    const random = createRandom(hashString(prompt) ^ (seed || 0));
+    const { width, height } = getFrameSize(aspectRatio, '360p');
+    const hue = Math.floor(random() * 360);
+    // Without a DOM canvas, as in batch runs under Node, the placeholder is just the gradient
+    if (typeof document === 'undefined') return drawGradientPng(width, height, hue);
+
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    const ctx = canvas.getContext('2d');
+
+    const gradient = ctx.createLinearGradient(0, 0, canvas.width, canvas.height);
+    gradient.addColorStop(0, `hsl(${hue}, 60%, 35%)`);
+    gradient.addColorStop(1, `hsl(${(hue + 60) % 360}, 60%, 15%)`);
+    ctx.fillStyle = gradient;
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    for (let i = 0; i < 6; i++) {
+      ctx.fillStyle = `hsla(${(hue + random() * 120) % 360}, 70%, 60%, 0.25)`;
+      ctx.beginPath();
+      ctx.arc(random() * canvas.width, random() * canvas.height, 20 + random() * 100, 0, Math.PI * 2);
+      ctx.fill();
+    }
+    drawSubtitleText(ctx, prompt, canvas.width, canvas.height, getAspectRatio(aspectRatio));
+
+    return canvas.toDataURL('image/png');
+  },
+  generateSpeech: async (text, voiceId) => {
+    const voice = localVoices.find(v => v.id === voiceId) || localVoices[0];
+    const words = text.split(/\s+/).filter(Boolean);
+    const wordSeconds = 0.28;
+    const gapSeconds = 0.07;
+    const slot = wordSeconds + gapSeconds;
+    const pitches = words.map(word => voice.pitch * (1 + ((hashString(word) % 7) - 3) * 0.04));
+
+    const pcm = synthesizePcm(words.length * slot, LOCAL_SAMPLE_RATE, (t) => {
+      const index = Math.floor(t / slot);
+      const local = t - index * slot;
+      if (index >= pitches.length || local > wordSeconds) return 0;
+      const envelope = Math.min(1, local / 0.01, (wordSeconds - local) / 0.01);
+      return 0.4 * envelope * Math.sin(2 * Math.PI * pitches[index] * t);
+    });
+    return { pcm, sampleRate: LOCAL_SAMPLE_RATE };
+  },
+  generateMusic: async (prompt) => {
+    // A soft looping chord whose root note is picked from the prompt
+    const root = 110 * Math.pow(2, (hashString(prompt) % 12) / 12);
+    const chord = [1, 1.25, 1.5].map(ratio => root * ratio);
+    const pcm = synthesizePcm(8, LOCAL_SAMPLE_RATE, (t) => {
+      const swell = 0.75 + 0.25 * Math.sin((2 * Math.PI * t) / 8);
+      return chord.reduce((sum, f) => sum + Math.sin(2 * Math.PI * f * t), 0) * 0.08 * swell;
+    });
+    return URL.createObjectURL(pcmToWav(pcm, LOCAL_SAMPLE_RATE));
+  },
+  generateSoundEffect: async (prompt) => {
+    const random = createRandom(hashString(prompt));
+    const name = prompt.toLowerCase();
+    let pcm;
+    if (name.includes('whoosh')) {
+      pcm = synthesizePcm(0.6, LOCAL_SAMPLE_RATE, (t) => (random() * 2 - 1) * 0.5 * Math.sin((Math.PI * t) / 0.6));
+    } else if (name.includes('click')) {
+      pcm = synthesizePcm(0.05, LOCAL_SAMPLE_RATE, (t) => (random() * 2 - 1) * Math.exp(-t * 120));
+    } else {
+      const frequency = 440 + (hashString(prompt) % 440);
+      pcm = synthesizePcm(0.2, LOCAL_SAMPLE_RATE, (t) => 0.5 * Math.sin(2 * Math.PI * frequency * t) * Math.exp(-t * 15));
+    }
+    return URL.createObjectURL(pcmToWav(pcm, LOCAL_SAMPLE_RATE));
+  },
+  rewritePrompt: async (text) => {
+    // Turns the narration into a descriptive shot without any language model
+    const subject = text.replace(/\*/g, '').replace(/[.!?…]+$/, '').trim();
+    return `Wide establishing shot illustrating: ${subject}, detailed scenery, clear focal subject`;
+  },
+};
+
+export const generationProviders = [geminiProvider, httpProvider, localProvider];
+
+// Which provider handles each kind of generation, and each provider's connection settings
+export const defaultProviderSettings = {
+  image: 'gemini',
+  speech: 'gemini',
+  music: 'local',
+  soundEffect: 'local',
+  prompt: 'gemini',
+  translation: 'gemini',
+  concurrency: 3,
+  retries: 3,
+  configs: Object.fromEntries(generationProviders.map(p => [p.id, { endpoint: p.defaultEndpoint, apiKey: '' }])),
+};
+
+/**
+ * Fills in saved or hand-written provider settings from the defaults, down to each provider's connection settings.
+ * @param {object} saved - Provider settings, possibly from an older version or incomplete.
+ * @returns {object} Complete provider settings.
+ */
+export const mergeProviderSettings = (saved) => ({
+  ...defaultProviderSettings,
+  ...saved,
+  configs: Object.fromEntries(generationProviders.map(p => [p.id, { ...defaultProviderSettings.configs[p.id], ...saved.configs?.[p.id] }])),
+});
+
+export const providerCapabilities = [
+  { id: 'image', name: 'Images' },
+  { id: 'speech', name: 'Voice-over' },
+  { id: 'music', name: 'Music' },
+  { id: 'soundEffect', name: 'Sound effects' },
+  { id: 'prompt', name: 'Visual prompts' },
+  { id: 'translation', name: 'Translation' },
+];
+
+// Project-wide visual style: a preset appended to every image prompt, plus the user's own additions
+export const stylePresets = [
+  { id: 'none', name: 'None', prompt: '' },
+  { id: 'cinematic', name: 'Cinematic', prompt: 'cinematic film still, anamorphic lens, dramatic lighting, shallow depth of field, color graded' },
+  { id: 'flat', name: 'Flat illustration', prompt: 'flat vector illustration, bold shapes, limited color palette, clean lines, no gradients' },
+  { id: 'watercolor', name: 'Watercolor', prompt: 'watercolor painting, soft washes, visible paper texture, loose brush strokes' },
+  { id: 'anime', name: 'Anime', prompt: 'anime style, cel shading, expressive characters, vibrant colors' },
+  { id: 'photo', name: 'Photorealistic', prompt: 'photorealistic, natural light, 35mm photograph, high detail' },
+  { id: '3d', name: '3D render', prompt: '3D render, soft global illumination, stylized materials, octane render' },
+  { id: 'pixel', name: 'Pixel art', prompt: '16-bit pixel art, crisp pixels, retro game aesthetic' },
+];
+
+export const castKinds = [
+  { id: 'character', name: 'Character' },
+  { id: 'location', name: 'Location' },
+];
+
+export const defaultVisualStyle = { preset: 'none', custom: '', negativePrompt: '', seed: null, cast: [] };
+
+/**
+ * Whether text mentions a cast member by name, as a whole word and ignoring case.
+ * @param {string} text - The text to search.
+ * @param {string} name - The cast member's name.
+ * @returns {boolean} True if the name appears in the text.
+ */
+const mentionsName = (text, name) => {
+  const escaped = name.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return new RegExp(`(^|[^\\p{L}\\d])${escaped}($|[^\\p{L}\\d])`, 'iu').test(text);
+};
+
+/**
+ * Builds the image request for a scene: the scene prompt, the descriptions of every cast member
+ * the scene mentions, and the project style.
+ * @param {string} prompt - The scene's image prompt.
+ * @param {string} text - The scene's narration, also searched for cast members.
+ * @param {object} style - The project's visual style.
+ * @returns {object} The image request as `{ prompt, negativePrompt, seed }`.
+ */
+export const applyVisualStyle = (prompt, text, style) => {
+  const preset = stylePresets.find(p => p.id === style.preset);
+  const cast = style.cast.filter(member => member.name.trim() && member.description.trim()
+    && (mentionsName(prompt, member.name) || mentionsName(text || '', member.name)));
+  return {
+    prompt: [prompt.trim(), ...cast.map(member => `${member.name}: ${member.description.trim()}`), preset && preset.prompt, style.custom.trim()]
+      .filter(Boolean)
+      .join('. '),
+    negativePrompt: style.negativePrompt.trim() || null,
+    seed: Number.isInteger(style.seed) ? style.seed : null,
+  };
+};
+
+// Script markup. A script with at least one "## " scene header is read as markup; anything else is plain prose.
+const SCENE_HEADER = /^##(?:\s+(.*))?$/;
+const SPEAKER_NAME = /^\p{L}[\p{L}\d .'-]*$/u;
+const DEFAULT_PAUSE_SECONDS = 0.5;
+// Average narration speed, used to group sentences into scenes of a target length
+const SPEECH_WORDS_PER_SECOND = 2.5;
+
+// How plain prose is cut into scenes: per sentence, per paragraph or into scenes of about `targetSeconds`
+export const splitModes = [
+  { id: 'sentence', name: 'Per sentence' },
+  { id: 'paragraph', name: 'Per paragraph' },
+  { id: 'length', name: 'By scene length' },
+];
+// Script languages offered for sentence segmentation
+export const scriptLocales = ['en-US', 'en-GB', 'de-DE', 'fr-FR', 'es-ES', 'it-IT', 'pt-BR', 'nl-NL', 'ja-JP', 'zh-CN', 'ko-KR'];
+export const defaultSplitSettings = {
+  mode: 'sentence',
+  locale: typeof navigator !== 'undefined' && navigator.language ? navigator.language : 'en',
+  targetSeconds: 8,
+};
+
+// Abbreviations that end in a period without ending the sentence, by language
+const sentenceAbbreviations = {
+  en: ['mr', 'mrs', 'ms', 'dr', 'prof', 'st', 'jr', 'sr', 'vs', 'e.g', 'i.e', 'inc', 'ltd', 'mt', 'approx'],
+  de: ['dr', 'prof', 'hr', 'fr', 'nr', 'bzw', 'usw', 'z.b', 'd.h', 'ca', 'vgl', 'str'],
+  fr: ['m', 'mme', 'mlle', 'dr', 'pr', 'p.ex', 'av', 'bd'],
+  es: ['sr', 'sra', 'srta', 'dr', 'dra', 'p.ej', 'av', 'ud', 'uds'],
+};
+// Abbreviations that are also ordinary words ("no"), so they only count when a number follows
+const numberAbbreviations = {
+  en: ['no'],
+};
+
+/**
+ * Runs an `Intl.Segmenter` over text, falling back to a simple split where the browser lacks it
+ * or the locale is invalid.
+ * @param {string} text - The text to segment.
+ * @param {string} locale - A BCP 47 language tag.
+ * @param {string} granularity - 'sentence' or 'word'.
+ * @returns {Array|null} The segments, or null if segmentation is unavailable.
+ */
+const segmentText = (text, locale, granularity) => {
+  if (typeof Intl === 'undefined' || !Intl.Segmenter) return null;
+  try {
+    return Array.from(new Intl.Segmenter(locale, { granularity }).segment(text));
+  } catch (error) {
+    console.warn(`Cannot segment text for locale "${locale}":`, error);
+    return null;
+  }
+};
+
+/**
+ * Splits text into sentences for the given language. Punctuation is kept, and periods after
+ * common abbreviations ("Dr.", "No. 5") and runs of initials ("J. R. R.") do not end a sentence.
+ * @param {string} text - The text to split.
+ * @param {string} locale - A BCP 47 language tag.
+ * @returns {Array} The sentences, with whitespace collapsed.
+ */
+const segmentSentences = (text, locale) => {
+  const segments = segmentText(text, locale, 'sentence');
+  const pieces = segments
+    ? segments.map(s => s.segment)
+    : text.split(/(?<=[.!?…]["'”’)\]]*)\s+|(?<=[。！？])/);
+  const language = locale.split('-')[0].toLowerCase();
+  const abbreviations = sentenceAbbreviations[language] || [];
+  const beforeNumbers = numberAbbreviations[language] || [];
+
+  const sentences = [];
+  let pending = '';
+  const cleanedPieces = pieces.map(piece => piece.replace(/\s+/g, ' ').trim()).filter(Boolean);
+  cleanedPieces.forEach((cleaned, i) => {
+    pending = pending ? `${pending} ${cleaned}` : cleaned;
+    const next = cleanedPieces[i + 1] || '';
+    const lastWord = /(?:^|\s)([\p{L}.]+)\.$/u.exec(pending);
+    if (lastWord) {
+      const word = lastWord[1].toLowerCase();
+      if (abbreviations.includes(word)) return;
+      if (beforeNumbers.includes(word) && /^\d/.test(next)) return;
+      // A single capital is an initial only next to another one ("J. R. Tolkien"), not "Plan B." or "I."
+      const isInitial = /^\p{Lu}$/u.test(lastWord[1]);
+      if (isInitial && (/^\p{Lu}\./u.test(next) || /(?:^|\s)\p{Lu}\. \p{Lu}\.$/u.test(pending))) return;
+    }
+    sentences.push(pending);
+    pending = '';
+  });
+  if (pending) sentences.push(pending);
+  return sentences;
+};
+
+/**
+ * Counts the words in text for the given language.
+ * @param {string} text - The text.
+ * @param {string} locale - A BCP 47 language tag.
+ * @returns {number} The number of words.
+ */
+const countWords = (text, locale) => {
+  const segments = segmentText(text, locale, 'word');
+  return segments ? segments.filter(s => s.isWordLike).length : text.split(/\s+/).filter(Boolean).length;
+};
+
+/**
+ * Splits plain prose into scene texts according to the split settings.
+ * @param {string} script - The script text.
+ * @param {object} settings - The split `mode`, `locale` and `targetSeconds`.
+ * @returns {Array} One text per scene.
+ */
+const splitProse = (script, { mode, locale, targetSeconds }) => {
+  if (mode === 'paragraph') {
+    return script.split(/\n\s*\n/).map(p => p.replace(/\s+/g, ' ').trim()).filter(Boolean);
+  }
+  const sentences = segmentSentences(script, locale);
+  if (mode !== 'length') return sentences;
+
+  const groups = [];
+  let current = [];
+  let seconds = 0;
+  sentences.forEach(sentence => {
+    const estimate = countWords(sentence, locale) / SPEECH_WORDS_PER_SECOND;
+    if (current.length > 0 && seconds + estimate > targetSeconds) {
+      groups.push(current.join(' '));
+      current = [];
+      seconds = 0;
+    }
+    current.push(sentence);
+    seconds += estimate;
+  });
+  if (current.length > 0) groups.push(current.join(' '));
+  return groups;
+};
+
+/**
+ * Reads a number of seconds written as "4", "4s" or "1.5 s".
+ * @param {string} value - The text to read.
+ * @returns {number|null} The seconds, or null if the text is not a duration.
+ */
+const parseSeconds = (value) => {
+  const match = /^(\d+(?:\.\d+)?)\s*s?$/.exec(value.trim());
+  return match ? parseFloat(match[1]) : null;
+};
+
+/**
+ * Parses a script into scenes. Plain prose is split into scenes by the split settings.
+ * Markup scripts use this syntax:
+ *   ## Title             starts a scene
+ *   @image: prompt       overrides the scene's image prompt
+ *   @duration: 6s        makes the scene last at least this long
+ *   [Alex]               switches the speaker; speakers are mapped to voices in the outline
+ *   [pause] [pause 2s]   inserts silence into the narration
+ *   *word*               emphasizes words in the narration
+ * @param {string} script - The script text.
+ * @param {object} splitSettings - How plain prose is split into scenes.
+ * @returns {object} `{ isMarkup, scenes, speakers, errors }`. Each scene has a title, its source line,
+ *   the spoken `text`, the image `prompt`, a `duration` hint and its speech and pause `segments`.
+ *   Errors carry the line number and a message.
+ */
+export const parseScript = (script, splitSettings = defaultSplitSettings) => {
+  const lines = script.split('\n');
+  if (!lines.some(line => SCENE_HEADER.test(line.trim()))) {
+    const scenes = splitProse(script, splitSettings).map(text => ({
+      title: null, line: null, text, prompt: text, duration: null, segments: [{ type: 'speech', speaker: null, text }],
+    }));
+    return { isMarkup: false, scenes, speakers: [], errors: [] };
+  }
+
+  const scenes = [];
+  const speakers = [];
+  const errors = [];
+  let scene = null;
+  let speaker = null;
+
+  const addSpeech = (text) => {
+    const last = scene.segments[scene.segments.length - 1];
+    if (last && last.type === 'speech' && last.speaker === speaker) {
+      last.text = `${last.text} ${text}`;
+    } else {
+      scene.segments.push({ type: 'speech', speaker, text });
+    }
+  };
+
+  lines.forEach((rawLine, index) => {
+    const line = rawLine.trim();
+    const addError = (message) => errors.push({ line: index + 1, message });
+    if (!line) return;
+
+    const header = SCENE_HEADER.exec(line);
+    if (header) {
+      scene = { title: (header[1] || '').trim() || null, line: index + 1, text: '', prompt: null, duration: null, segments: [] };
+      scenes.push(scene);
+      speaker = null;
+      return;
+    }
+    if (!scene) {
+      addError('Text before the first "## " scene header.');
+      return;
+    }
+
+    const directive = /^@(\w+)\s*:?\s*(.*)$/.exec(line);
+    if (directive) {
+      const [, name, value] = directive;
+      if (name === 'image') {
+        if (value) scene.prompt = value;
+        else addError('@image needs a prompt.');
+      } else if (name === 'duration') {
+        const seconds = parseSeconds(value);
+        if (seconds > 0) scene.duration = seconds;
+        else addError(`Invalid duration "${value}". Write seconds, e.g. "@duration: 4s".`);
+      } else {
+        addError(`Unknown directive "@${name}". Use @image or @duration.`);
+      }
+      return;
+    }
+
+    if ((line.match(/\*/g) || []).length % 2 === 1) {
+      addError('Unclosed *emphasis*.');
+    }
+    const tagPattern = /\[([^[\]]*)\]/g;
+    let position = 0;
+    const addText = (text) => {
+      if (/[[\]]/.test(text)) addError('Unmatched "[" or "]".');
+      const cleaned = text.replace(/[[\]]/g, '').replace(/\s+/g, ' ').trim();
+      if (cleaned) addSpeech(cleaned);
+    };
+    for (const match of line.matchAll(tagPattern)) {
+      addText(line.slice(position, match.index));
+      position = match.index + match[0].length;
+      const tag = match[1].trim();
+      const pause = /^pause(?:\s+(.+))?$/i.exec(tag);
+      if (pause) {
+        const seconds = pause[1] ? parseSeconds(pause[1]) : DEFAULT_PAUSE_SECONDS;
+        if (seconds > 0) scene.segments.push({ type: 'pause', seconds });
+        else addError(`Invalid pause "[${tag}]". Write seconds, e.g. "[pause 1.5s]".`);
+      } else if (SPEAKER_NAME.test(tag)) {
+        speaker = tag;
+        if (!speakers.includes(tag)) speakers.push(tag);
+      } else {
+        addError(`Invalid tag "[${tag}]". Use a speaker name or [pause].`);
+      }
+    }
+    addText(line.slice(position));
+  });
+
+  scenes.forEach(parsed => {
+    parsed.text = parsed.segments.filter(s => s.type === 'speech').map(s => s.text.replace(/\*/g, '')).join(' ');
+    parsed.prompt = parsed.prompt || parsed.text || parsed.title;
+    if (!parsed.text && !parsed.duration) {
+      errors.push({ line: parsed.line, message: 'Scene has no narration; add text or a @duration.' });
+    }
+  });
+  return { isMarkup: true, scenes, speakers, errors: errors.sort((a, b) => a.line - b.line) };
+};
+
+/**
+ * Writes a scene's speech and pause segments back as markup.
+ * @param {Array} segments - Parsed scene segments.
+ * @returns {string} The narration markup.
+ */
+const segmentsToMarkup = (segments) => {
+  let speaker = null;
+  return segments.map(segment => {
+    if (segment.type === 'pause') {
+      return segment.seconds === DEFAULT_PAUSE_SECONDS ? '[pause]' : `[pause ${segment.seconds}s]`;
+    }
+    const tag = segment.speaker && segment.speaker !== speaker ? `[${segment.speaker}] ` : '';
+    speaker = segment.speaker;
+    return tag + segment.text;
+  }).join(' ');
+};
+
+/**
+ * Converts parsed scenes into the editable form used by the scene list editor.
+ * @param {Array} scenes - Scenes from `parseScript`.
+ * @returns {Array} Scenes as `{ title, body, prompt, duration }`; `prompt` is only set when it overrides the narration.
+ */
+export const toEditableScenes = (scenes) => scenes.map(scene => ({
+  title: scene.title,
+  body: segmentsToMarkup(scene.segments),
+  prompt: scene.prompt !== (scene.text || scene.title) ? scene.prompt : null,
+  duration: scene.duration,
+}));
+
+/**
+ * Writes editable scenes out as a markup script.
+ * @param {Array} scenes - Scenes as `{ title, body, prompt, duration }`.
+ * @returns {string} The script.
+ */
+export const editableScenesToScript = (scenes) => scenes.map(scene => [
+  scene.title ? `## ${scene.title}` : '##',
+  scene.prompt && `@image: ${scene.prompt}`,
+  scene.duration && `@duration: ${scene.duration}s`,
+  scene.body,
+].filter(Boolean).join('\n')).join('\n\n');
+
+/**
+ * Splits an editable scene in two at a character position, or between its middle sentences if the
+ * position is at either end. The second half keeps the speaker that was talking at the split.
+ * @param {object} scene - The scene as `{ title, body, prompt, duration }`.
+ * @param {number|null} position - Character offset in the body.
+ * @param {string} locale - A BCP 47 language tag, used to find sentence boundaries.
+ * @returns {Array|null} The two scenes, or null if the scene cannot be split.
+ */
+export const splitEditableScene = (scene, position, locale) => {
+  let first = position ? scene.body.slice(0, position).trim() : '';
+  let second = position ? scene.body.slice(position).trim() : '';
+  if (!first || !second) {
+    const sentences = segmentSentences(scene.body, locale);
+    if (sentences.length < 2) return null;
+    const middle = Math.ceil(sentences.length / 2);
+    first = sentences.slice(0, middle).join(' ');
+    second = sentences.slice(middle).join(' ');
+  }
+  const speakerTags = [...first.matchAll(/\[([^[\]]*)\]/g)].map(m => m[1].trim()).filter(tag => !/^pause\b/i.test(tag));
+  if (speakerTags.length > 0 && !second.startsWith('[')) {
+    second = `[${speakerTags[speakerTags.length - 1]}] ${second}`;
+  }
+  return [
+    { ...scene, body: first },
+    { title: null, body: second, prompt: null, duration: null },
+  ];
+};
+
+/**
+ * Merges an editable scene with the one after it.
+ * @param {object} scene - The first scene.
+ * @param {object} next - The scene that follows it.
+ * @returns {object} The merged scene.
+ */
+export const mergeEditableScenes = (scene, next) => ({
+  title: scene.title || next.title,
+  body: `${scene.body}\n${next.body}`,
+  prompt: scene.prompt || next.prompt,
+  duration: (scene.duration || 0) + (next.duration || 0) || null,
+});
+
+/**
+ * Joins the narration clips of a scene's segments into one clip, inserting silence for pauses.
+ * @param {Array} segments - The scene's speech and pause segments.
+ * @param {Array} clips - One narration clip per speech segment, null for pauses.
+ * @returns {object|null} The joined clip, or null if the scene has no speech.
+ */
+export const joinNarration = (segments, clips) => {
+  const spoken = clips.filter(Boolean);
+  if (spoken.length === 0) return null;
+  const sampleRate = spoken[0].sampleRate;
+  const parts = segments.map((segment, index) => {
+    if (segment.type === 'pause') return new Uint8Array(Math.round(segment.seconds * sampleRate) * 2);
+    if (clips[index].sampleRate !== sampleRate) {
+      throw new Error(`Narration for "${segment.text}" uses ${clips[index].sampleRate} Hz audio, expected ${sampleRate} Hz.`);
+    }
+    return clips[index].pcm;
+  });
+  const pcm = new Uint8Array(parts.reduce((total, part) => total + part.byteLength, 0));
+  let offset = 0;
+  parts.forEach(part => {
+    pcm.set(part, offset);
+    offset += part.byteLength;
+  });
+  return { pcm, sampleRate };
+};
+
+/**
+ * Creates the error used when a user cancels generation.
+ * @returns {DOMException} An AbortError.
+ */
+const createAbortError = () => new DOMException('Generation was cancelled.', 'AbortError');
+
+export const isAbortError = (error) => Boolean(error) && error.name === 'AbortError';
+
+/**
+ * Whether a failed request is worth retrying: timeouts, rate limits, server errors and network failures.
+ * @param {Error} error - The error thrown by a provider.
+ * @returns {boolean} True if the request may succeed on another attempt.
+ */
+const isRetryableError = (error) => {
+  if (isAbortError(error)) return false;
+  if (error.status) return error.status === 408 || error.status === 429 || error.status >= 500;
+  return error instanceof TypeError;
+};
+
+/**
+ * Waits for a delay, rejecting early if the signal aborts.
+ * @param {number} ms - The delay in milliseconds.
+ * @param {AbortSignal} signal - Cancels the wait.
+ */
+export const wait = (ms, signal) => {
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) {
+      reject(createAbortError());
+      return;
+    }
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(createAbortError());
+    };
+    const timer = setTimeout(() => {
+      if (signal) signal.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
+  });
+};
+
+/**
+ * Describes an error in one line, adding its cause, e.g. "fetch failed (getaddrinfo ENOTFOUND ...)".
+ * @param {Error} error - The error.
+ * @returns {string} The message.
+ */
+export const describeError = (error) => {
+  const cause = error.cause ? error.cause.message || error.cause.code || String(error.cause) : null;
+  return cause && cause !== error.message ? `${error.message} (${cause})` : error.message;
+};
+
+/**
+ * Runs a task, retrying retryable failures with exponential backoff. Honors `Retry-After` on rate limits.
+ * @param {function} task - Returns a promise for the result.
+ * @param {object} options - Number of retries, abort signal, base delay in milliseconds, and `onRetry`,
+ *   called with a message and the error before each retry.
+ * @returns {*} The task result.
+ */
+export const withRetry = async (task, { retries, signal, baseDelay = 1000, onRetry = (message, error) => console.warn(message, error) }) => {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await task();
+    } catch (error) {
+      if (attempt >= retries || !isRetryableError(error)) throw error;
+      const delay = error.retryAfter
+        ? error.retryAfter * 1000
+        : baseDelay * Math.pow(2, attempt) * (1 + Math.random() * 0.25);
+      onRetry(`Retrying in ${Math.round(delay)} ms (attempt ${attempt + 1} of ${retries}):`, error);
+      await wait(delay, signal);
+    }
+  }
+};
+
+/**
+ * Runs tasks with a concurrency limit. Tasks not yet started when the signal aborts are rejected as cancelled.
+ * @param {Array} tasks - Functions returning promises.
+ * @param {number} concurrency - Maximum number of tasks in flight.
+ * @param {AbortSignal} signal - Stops new tasks from starting.
+ * @returns {Array} Settled results in task order, shaped like `Promise.allSettled`.
+ */
+export const runWithConcurrency = async (tasks, concurrency, signal) => {
+  const results = new Array(tasks.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < tasks.length) {
+      const index = next++;
+      if (signal.aborted) {
+        results[index] = { status: 'rejected', reason: createAbortError() };
+        continue;
+      }
+      try {
+        results[index] = { status: 'fulfilled', value: await tasks[index]() };
+      } catch (reason) {
+        results[index] = { status: 'rejected', reason };
+      }
+    }
+  };
+  await Promise.all(Array.from({ length: Math.max(1, Math.min(concurrency, tasks.length)) }, worker));
+  return results;
+};
+
+/**
+ * Returns the length a scene needs for its narration, or for its duration hint if that is longer.
+ * @param {object|null} voiceClip - The scene's narration.
+ * @param {number|null} hint - The scene's `@duration` hint in seconds.
+ * @returns {number} The duration in seconds, rounded up to a tenth.
+ */
+export const fitSceneDuration = (voiceClip, hint) => {
+  const narration = voiceClip ? getClipDuration(voiceClip) + SCENE_PADDING_SECONDS : 0;
+  return Math.ceil(Math.max(narration, hint || 0) * 10) / 10;
+};
+
+/**
+ * Builds a timeline scene from a finished generation job.
+ * @param {object} job - A job with its parsed scene and generated `result`.
+ * @returns {object} The scene, sized to its narration or duration hint and not yet positioned.
+ */
+export const createSceneFromJob = (job) => {
+  const { imageUrl, imgObject, voiceClip } = job.result;
+  return {
+    id: job.id,
+    prompt: job.prompt,
+    type: 'video',
+    name: job.title || job.text.substring(0, 20) + '...',
+    src: imageUrl,
+    versions: [imageUrl],
+    motion: defaultMotion,
+    transition: defaultTransition,
+    focus: defaultFocus,
+    duration: fitSceneDuration(voiceClip, job.duration),
+    imgObject,
+    startTime: 0,
+    voiceClip,
+  };
+};
+
+// Subtitle files (SRT and WebVTT)
+
+/**
+ * Formats seconds as a subtitle timestamp, e.g. "00:01:02,500".
+ * @param {number} seconds - The time in seconds.
+ * @param {string} separator - ',' for SRT or '.' for WebVTT.
+ * @returns {string} The timestamp.
+ */
+const formatSubtitleTimestamp = (seconds, separator) => {
+  const totalMs = Math.max(0, Math.round(seconds * 1000));
+  const pad = (value, length = 2) => String(value).padStart(length, '0');
+  const hours = Math.floor(totalMs / 3600000);
+  const minutes = Math.floor(totalMs / 60000) % 60;
+  const secs = Math.floor(totalMs / 1000) % 60;
+  return `${pad(hours)}:${pad(minutes)}:${pad(secs)}${separator}${pad(totalMs % 1000, 3)}`;
+};
+
+/**
+ * Reads a subtitle timestamp in SRT ("00:01:02,500") or WebVTT ("01:02.500") form.
+ * @param {string} value - The timestamp.
+ * @returns {number|null} The time in seconds, or null if the timestamp is malformed.
+ */
+const parseSubtitleTimestamp = (value) => {
+  const match = /^(?:(\d+):)?(\d{1,2}):(\d{2})[,.](\d{1,3})$/.exec(value.trim());
+  if (!match) return null;
+  const [, hours = '0', minutes, seconds, millis] = match;
+  return Number(hours) * 3600 + Number(minutes) * 60 + Number(seconds) + Number(millis.padEnd(3, '0')) / 1000;
+};
+
+/**
+ * Writes subtitle cues as an SRT file.
+ * @param {Array} subtitles - Subtitle cues.
+ * @returns {string} The SRT text.
+ */
+export const subtitlesToSrt = (subtitles) => {
+  return [...subtitles]
+    .sort((a, b) => a.startTime - b.startTime)
+    .map((sub, i) => `${i + 1}\n${formatSubtitleTimestamp(sub.startTime, ',')} --> ${formatSubtitleTimestamp(sub.endTime, ',')}\n${sub.text}\n`)
+    .join('\n');
+};
+
+/**
+ * Writes subtitle cues as a WebVTT file.
+ * @param {Array} subtitles - Subtitle cues.
+ * @returns {string} The WebVTT text.
+ */
+export const subtitlesToVtt = (subtitles) => {
+  const escape = (text) => text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+  const cues = [...subtitles]
+    .sort((a, b) => a.startTime - b.startTime)
+    .map(sub => `${formatSubtitleTimestamp(sub.startTime, '.')} --> ${formatSubtitleTimestamp(sub.endTime, '.')}\n${escape(sub.text)}\n`);
+  return ['WEBVTT\n', ...cues].join('\n');
+};
+
+/**
+ * Parses an SRT or WebVTT file. Styling tags are dropped and multi-line cues are joined into one line.
+ * @param {string} text - The file contents.
+ * @returns {Array} Cues as `{ startTime, endTime, text }`, sorted by start time.
+ */
+export const parseSubtitleFile = (text) => {
+  const blocks = text.replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n').split(/\n\s*\n/);
+  const cues = [];
+  blocks.forEach(block => {
+    const lines = block.split('\n').filter(line => line.trim());
+    // Blocks without timing are the WebVTT header, NOTE and STYLE blocks
+    const timingIndex = lines.findIndex(line => line.includes('-->'));
+    if (timingIndex === -1) return;
+    const [startText, endText] = lines[timingIndex].split('-->');
+    const startTime = parseSubtitleTimestamp(startText);
+    const endTime = parseSubtitleTimestamp(endText.trim().split(/\s+/)[0]);
+    if (startTime === null || endTime === null) {
+      throw new Error(`Invalid cue timing "${lines[timingIndex]}".`);
+    }
+    const cueText = lines.slice(timingIndex + 1).join(' ')
+      .replace(/<[^>]+>/g, '')
+      .replace(/\{\\[^}]*\}/g, '')
+      .replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&amp;/g, '&')
+      .replace(/\s+/g, ' ')
+      .trim();
+    if (cueText) cues.push({ startTime, endTime, text: cueText });
+  });
+  return cues.sort((a, b) => a.startTime - b.startTime);
+};
+
+/**
+ * Checks subtitle cues for timing problems. Overlaps are found in time order, so cues whose start
+ * times were edited out of list order are still compared with their neighbours on the timeline.
+ * @param {Array} subtitles - Subtitle cues in display order.
+ * @param {number} duration - The timeline length in seconds.
+ * @returns {Array} One list of problem messages per cue, in the order of `subtitles`.
+ */
+export const validateSubtitles = (subtitles, duration) => {
+  // The earlier cue (by start time) that runs longest, for each cue
+  const overlapping = new Map();
+  let longest = null;
+  subtitles
+    .map((sub, index) => index)
+    .sort((a, b) => subtitles[a].startTime - subtitles[b].startTime || a - b)
+    .forEach(index => {
+      if (longest !== null && subtitles[index].startTime < subtitles[longest].endTime - 0.001) overlapping.set(index, longest);
+      if (longest === null || subtitles[index].endTime > subtitles[longest].endTime) longest = index;
+    });
+
+  return subtitles.map((sub, i) => {
+    const problems = [];
+    if (sub.startTime < 0) problems.push('Starts before the video.');
+    if (sub.endTime <= sub.startTime) problems.push('Ends before it starts.');
+    if (overlapping.has(i)) problems.push(`Overlaps cue ${overlapping.get(i) + 1}.`);
+    if (sub.endTime > duration + 0.001) problems.push('Runs past the end of the video.');
+    return problems;
+  });
+};
+
+// Interchange exports for desktop editors: a manifest of the cut, and an FFmpeg script, EDL and FCPXML built from it
+
+const MANIFEST_FORMAT = 'ai-video-studio-manifest';
+const MANIFEST_VERSION = 1;
+
+// File extensions for common media types whose subtype is not the usual extension
+const mediaExtensions = {
+  'audio/mpeg': 'mp3',
+  'audio/wav': 'wav',
+  'audio/x-wav': 'wav',
+  'audio/wave': 'wav',
+  'audio/mp4': 'm4a',
+  'audio/x-m4a': 'm4a',
+  'video/quicktime': 'mov',
+  'image/jpeg': 'jpg',
+};
+
+/**
+ * Picks a file extension for a downloaded media file.
+ * @param {Blob} blob - The media file.
+ * @param {string} fallback - The extension to use if the type is unknown.
+ * @returns {string} The extension, without a dot.
+ */
+export const getMediaExtension = (blob, fallback) => {
+  const type = (blob.type || '').split(';')[0].trim();
+  if (mediaExtensions[type]) return mediaExtensions[type];
+  const subtype = type.split('/')[1];
+  return subtype && /^[a-z0-9]+$/.test(subtype) ? subtype : fallback;
+};
+
+/**
+ * Describes the finished cut in a machine-readable form: every scene, audio track and subtitle cue
+ * with the file it comes from and where it sits on the timeline. Times are in seconds.
+ * @param {object} project - The project name, frame size and language, scenes with their `files`, voice-over, music,
+ *   sound effects, subtitles, and the subtitle files of other languages.
+ * @returns {object} The manifest.
+ */
+export const buildExportManifest = ({ name, width, height, aspectRatio, language, scenes, voiceOverFile, music, soundEffects, subtitles, translations = [] }) => {
+  const duration = getTimelineDuration(scenes);
+  const round = (seconds) => Math.round(seconds * 1000) / 1000;
+  return {
+    format: MANIFEST_FORMAT,
+    version: MANIFEST_VERSION,
+    name,
+    width,
+    height,
+    aspectRatio,
+    language,
+    frameRate: EXPORT_FRAME_RATE,
+    duration: round(duration),
+    scenes: scenes.map((scene, index) => ({
+      index: index + 1,
+      id: scene.id,
+      name: scene.name,
+      prompt: scene.prompt,
+      start: round(scene.startTime),
+      duration: round(scene.duration),
+      image: scene.files.image,
+      clip: scene.clip ? { file: scene.files.clip, trimStart: round(scene.clip.trimStart), duration: round(scene.clip.duration) } : null,
+      focus: scene.focus || defaultFocus,
+      motion: scene.motion || defaultMotion,
+      transition: scene.transition || defaultTransition,
+      narration: scene.voiceClip
+        ? { start: round(scene.startTime), duration: round(Math.min(getClipDuration(scene.voiceClip), scene.duration)) }
+        : null,
+    })),
+    voiceOver: { file: voiceOverFile, start: 0, duration: round(duration) },
+    music: music ? {
+      file: music.file,
+      start: 0,
+      // Looping music fills the video; otherwise it plays once from its start offset
+      duration: round(music.settings.mode === 'loop' || !music.sourceDuration
+        ? duration
+        : Math.max(0, Math.min(duration, music.sourceDuration - music.settings.startOffset))),
+      sourceDuration: music.sourceDuration && round(music.sourceDuration),
+      ...music.settings,
+    } : null,
+    soundEffects: soundEffects.map(sfx => ({
+      name: sfx.name,
+      file: sfx.file,
+      start: round(sfx.startTime),
+      duration: round(Math.max(0, Math.min(sfx.sourceDuration || 0, duration - sfx.startTime))),
+      volume: sfx.volume ?? 1,
+    })),
+    subtitles: {
+      srt: 'subtitles.srt',
+      vtt: 'subtitles.vtt',
+      cues: [...subtitles]
+        .sort((a, b) => a.startTime - b.startTime)
+        .map(sub => ({ start: round(sub.startTime), end: round(sub.endTime), text: sub.text })),
+      // Other languages' subtitles are timed to their own narration, not to this cut
+      translations,
+    },
+  };
+};
+
+/**
+ * Quotes a value for a POSIX shell.
+ * @param {string} value - The value.
+ * @returns {string} The quoted value.
+ */
+const shellQuote = (value) => `'${String(value).replace(/'/g, `'\\''`)}'`;
+
+/**
+ * Lists the sound effects that make it into the rendered mix and the timeline exports: those with a
+ * known, non-zero length. Both use this list so the FFmpeg render and the EDL/FCPXML agree.
+ * @param {object} manifest - A manifest from `buildExportManifest`.
+ * @returns {Array} The manifest's sound effects that are placed.
+ */
+const getPlacedSoundEffects = (manifest) => manifest.soundEffects.filter(sfx => sfx.duration > 0);
+
+/**
+ * Writes a shell script that rebuilds the video from the exported files with FFmpeg. Scenes are cut
+ * together at their focal points and the audio tracks are mixed; Ken Burns motion and transitions are
+ * left out and remain listed in the manifest.
+ * @param {object} manifest - A manifest from `buildExportManifest`.
+ * @returns {string} The script.
+ */
+export const manifestToFfmpegScript = (manifest) => {
+  const { width, height, frameRate, duration } = manifest;
+  const inputs = [];
+  const filters = [];
+  const addInput = (options, file) => {
+    inputs.push(`${options ? `${options} ` : ''}-i ${shellQuote(file)}`);
+    return inputs.length - 1;
+  };
+
+  // Centres the crop on the focal point without leaving the scaled frame; commas are escaped for the filter graph
+  const cropOffset = (axis, size, focus) => `clip(in_${axis}*${focus}-${size}/2\\,0\\,in_${axis}-${size})`;
+
+  manifest.scenes.forEach((scene, i) => {
+    const input = scene.clip
+      ? addInput(`-ss ${scene.clip.trimStart} -t ${scene.duration}`, scene.clip.file)
+      : addInput(`-loop 1 -framerate ${frameRate} -t ${scene.duration}`, scene.image);
+    // Clips shorter than their scene hold their last frame
+    const hold = scene.clip ? `,tpad=stop_mode=clone:stop_duration=${scene.duration},trim=duration=${scene.duration}` : '';
+    filters.push(`[${input}:v]scale=${width}:${height}:force_original_aspect_ratio=increase,crop=${width}:${height}:${cropOffset('w', width, scene.focus.x)}:${cropOffset('h', height, scene.focus.y)},setsar=1,fps=${frameRate},format=yuv420p${hold}[v${i}]`);
+  });
+  const sceneLabels = manifest.scenes.map((_, i) => `[v${i}]`).join('');
+  const burnCaptions = manifest.subtitles.cues.length > 0;
+  filters.push(`${sceneLabels}concat=n=${manifest.scenes.length}:v=1:a=0${burnCaptions ? `,subtitles=${manifest.subtitles.srt}` : ''}[v]`);
+
+  const voice = addInput('', manifest.voiceOver.file);
+  const mixLabels = ['[voice]'];
+  const { music } = manifest;
+  if (music) {
+    const input = addInput(`${music.mode === 'loop' ? '-stream_loop -1 ' : ''}-ss ${music.startOffset}`, music.file);
+    const fadeOutStart = Math.max(0, music.duration - music.fadeOut);
+    filters.push(`[${input}:a]atrim=duration=${music.duration},volume=${music.volume},afade=t=in:d=${music.fadeIn},afade=t=out:st=${fadeOutStart}:d=${music.fadeOut}[musicraw]`);
+    if (music.ducking) {
+      // Approximates the app's ducking by compressing the music whenever the narration is speaking
+      filters.push(`[${voice}:a]asplit[voice][voicekey]`);
+      filters.push(`[musicraw][voicekey]sidechaincompress=threshold=0.02:ratio=${Math.max(1, Math.round(1 / Math.max(0.05, music.duckLevel)))}:attack=150:release=400[music]`);
+    } else {
+      filters.push(`[${voice}:a]anull[voice]`);
+      filters.push('[musicraw]anull[music]');
+    }
+    mixLabels.push('[music]');
+  } else {
+    filters.push(`[${voice}:a]anull[voice]`);
+  }
+  getPlacedSoundEffects(manifest).forEach((sfx, i) => {
+    const input = addInput('', sfx.file);
+    filters.push(`[${input}:a]volume=${sfx.volume},adelay=delays=${Math.round(sfx.start * 1000)}:all=1[sfx${i}]`);
+    mixLabels.push(`[sfx${i}]`);
+  });
+  filters.push(`${mixLabels.join('')}amix=inputs=${mixLabels.length}:normalize=0[a]`);
+
+  return [
+    '#!/bin/sh',
+    `# Rebuilds "${manifest.name}" (${width}x${height}, ${duration}s) from the files in this folder.`,
+    '# Scenes are hard cuts; motion and transitions are listed in manifest.json.',
+    '# Needs FFmpeg 4.4 or later for the audio mix.',
+    'set -e',
+    'cd "$(dirname "$0")"',
+    'ffmpeg -y \\',
+    ...inputs.map(input => `  ${input} \\`),
+    `  -filter_complex ${shellQuote(filters.join(';\n'))} \\`,
+    `  -map '[v]' -map '[a]' -t ${duration} -r ${frameRate} -c:v libx264 -pix_fmt yuv420p -c:a aac \\`,
+    `  ${shellQuote(`${manifest.name.replace(/[^\w.-]+/g, '_') || 'video'}.mp4`)}`,
+    '',
+  ].join('\n');
+};
+
+/**
+ * Formats a frame count as a SMPTE non-drop-frame timecode, e.g. "00:01:02:15".
+ * @param {number} frames - The time in frames.
+ * @param {number} frameRate - Frames per second.
+ * @returns {string} The timecode.
+ */
+const formatFrameTimecode = (frames, frameRate) => {
+  const pad = (value) => String(value).padStart(2, '0');
+  const seconds = Math.floor(frames / frameRate);
+  return `${pad(Math.floor(seconds / 3600))}:${pad(Math.floor(seconds / 60) % 60)}:${pad(seconds % 60)}:${pad(frames % frameRate)}`;
+};
+
+/**
+ * Lists the timeline's events in playback order, each with its source and record range in frames.
+ * Frame positions are rounded from the running time, so rounding never accumulates into drift.
+ * @param {object} manifest - A manifest from `buildExportManifest`.
+ * @returns {Array} Events as `{ track, file, name, sourceIn, sourceOut, recordIn, recordOut }`.
+ */
+const getManifestEvents = (manifest) => {
+  const toFrames = (seconds) => Math.round(seconds * manifest.frameRate);
+  const event = (track, file, name, sourceStart, start, duration) => {
+    const recordIn = toFrames(start);
+    const recordOut = toFrames(start + duration);
+    const sourceIn = toFrames(sourceStart);
+    return { track, file, name, sourceIn, sourceOut: sourceIn + recordOut - recordIn, recordIn, recordOut };
+  };
+
+  const events = manifest.scenes.map(scene => scene.clip
+    ? event('V', scene.clip.file, scene.name, scene.clip.trimStart, scene.start, scene.duration)
+    : event('V', scene.image, scene.name, 0, scene.start, scene.duration));
+  events.push(event('A', manifest.voiceOver.file, 'Voice-over', 0, 0, manifest.voiceOver.duration));
+  if (manifest.music && manifest.music.duration > 0) {
+    events.push(event('A2', manifest.music.file, 'Music', manifest.music.startOffset, 0, manifest.music.duration));
+  }
+  getPlacedSoundEffects(manifest).forEach(sfx => {
+    events.push(event('A3', sfx.file, sfx.name, 0, sfx.start, sfx.duration));
+  });
+  return events.filter(e => e.recordOut > e.recordIn);
+};
+
+/**
+ * Writes the timeline as a CMX 3600 edit decision list, with every cut as a separate event.
+ * @param {object} manifest - A manifest from `buildExportManifest`.
+ * @returns {string} The EDL.
+ */
+export const manifestToEdl = (manifest) => {
+  const tc = (frames) => formatFrameTimecode(frames, manifest.frameRate);
+  const lines = [`TITLE: ${manifest.name}`, 'FCM: NON-DROP FRAME', ''];
+  getManifestEvents(manifest).forEach((e, i) => {
+    lines.push(`${String(i + 1).padStart(3, '0')}  AX       ${e.track.padEnd(5)} C        ${tc(e.sourceIn)} ${tc(e.sourceOut)} ${tc(e.recordIn)} ${tc(e.recordOut)}`);
+    lines.push(`* FROM CLIP NAME: ${e.file}`);
+    if (e.name && e.name !== e.file) lines.push(`* COMMENT: ${e.name}`);
+    lines.push('');
+  });
+  return lines.join('\n');
+};
+
+/**
+ * Escapes text for an XML attribute.
+ * @param {string} value - The text.
+ * @returns {string} The escaped text.
+ */
+const escapeXml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+/**
+ * Writes the timeline as Final Cut Pro XML (FCPXML 1.9), which DaVinci Resolve and Premiere can also import.
+ * Scenes form the primary storyline; narration, music and sound effects are connected clips below it.
+ * Media paths are relative to the exported folder.
+ * @param {object} manifest - A manifest from `buildExportManifest`.
+ * @returns {string} The FCPXML document.
+ */
+export const manifestToFcpxml = (manifest) => {
+  const time = (frames) => frames === 0 ? '0s' : `${frames}/${manifest.frameRate}s`;
+  const events = getManifestEvents(manifest);
+  // Source lengths where they are known, so editors can slip clips past the part that is used
+  const sourceLengths = new Map([
+    ...manifest.scenes.filter(scene => scene.clip).map(scene => [scene.clip.file, scene.clip.duration]),
+    ...(manifest.music && manifest.music.sourceDuration ? [[manifest.music.file, manifest.music.sourceDuration]] : []),
+  ]);
+  const assets = new Map();
+  events.forEach(e => {
+    if (assets.has(e.file)) return;
+    const isVideo = e.track === 'V';
+    const used = Math.max(...events.filter(other => other.file === e.file).map(other => other.sourceOut));
+    const length = Math.max(used, Math.floor((sourceLengths.get(e.file) || 0) * manifest.frameRate));
+    assets.set(e.file, {
+      id: `r${assets.size + 2}`,
+      isVideo,
+      isStill: isVideo && manifest.scenes.some(s => !s.clip && s.image === e.file),
+      // The voice-over is rendered in mono
+      channels: e.track === 'A' ? 1 : 2,
+      length,
+    });
+  });
+
+  const resources = [...assets.entries()].map(([file, asset]) => [
+    `    <asset id="${asset.id}" name="${escapeXml(file)}" start="0s" duration="${asset.isStill ? '0s' : time(asset.length)}"`,
+    ` hasVideo="${asset.isVideo ? 1 : 0}" hasAudio="${asset.isVideo ? 0 : 1}"${asset.isVideo ? ' format="r1"' : ` audioSources="1" audioChannels="${asset.channels}"`}>`,
+    `\n      <media-rep kind="original-media" src="./${escapeXml(encodeURI(file))}"/>\n    </asset>`,
+  ].join(''));
+
+  // Each connected clip hangs off the scene playing when it starts, positioned in that scene's source time
+  const spineEvents = events.filter(e => e.track === 'V');
+  const connected = new Map(spineEvents.map(e => [e, []]));
+  events.filter(e => e.track !== 'V').forEach(e => {
+    const parent = spineEvents.findLast(item => item.recordIn <= e.recordIn) || spineEvents[0];
+    const lane = { A: -1, A2: -2, A3: -3 }[e.track];
+    const role = e.track === 'A' ? 'dialogue' : e.track === 'A2' ? 'music' : 'effects';
+    const offset = parent.sourceIn + e.recordIn - parent.recordIn;
+    connected.get(parent).push(`              <asset-clip ref="${assets.get(e.file).id}" lane="${lane}" name="${escapeXml(e.name)}" offset="${time(offset)}" start="${time(e.sourceIn)}" duration="${time(e.recordOut - e.recordIn)}" audioRole="${role}"/>`);
+  });
+  const spine = spineEvents.map(e => {
+    const asset = assets.get(e.file);
+    const tag = asset.isStill ? 'video' : 'asset-clip';
+    const attributes = `ref="${asset.id}" name="${escapeXml(e.name)}" offset="${time(e.recordIn)}" start="${time(e.sourceIn)}" duration="${time(e.recordOut - e.recordIn)}"`;
+    const children = connected.get(e);
+    if (children.length > 0) {
+      return `            <${tag} ${attributes}>\n${children.join('\n')}\n            </${tag}>`;
+    }
+    return `            <${tag} ${attributes}/>`;
+  });
+  const totalFrames = Math.round(manifest.duration * manifest.frameRate);
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<!DOCTYPE fcpxml>',
+    '<fcpxml version="1.9">',
+    '  <resources>',
+    `    <format id="r1" frameDuration="1/${manifest.frameRate}s" width="${manifest.width}" height="${manifest.height}"/>`,
+    ...resources,
+    '  </resources>',
+    '  <library>',
+    `    <event name="${escapeXml(manifest.name)}">`,
+    `      <project name="${escapeXml(manifest.name)}">`,
+    `        <sequence format="r1" duration="${time(totalFrames)}" tcStart="0s" tcFormat="NDF">`,
+    '          <spine>',
+    ...spine,
+    '          </spine>',
+    '        </sequence>',
+    '      </project>',
+    '    </event>',
+    '  </library>',
+    '</fcpxml>',
+    '',
+  ].join('\n');
+};
+
+// Generation runs and asset packages, shared by the editor and the batch command
+
+/**
+ * Looks up the provider selected for a capability together with its connection settings.
+ * @param {object} providerSettings - The provider per capability and each provider's connection settings.
+ * @param {string} capability - 'image', 'speech', 'music', 'soundEffect', 'prompt' or 'translation'.
+ * @param {AbortSignal} signal - Cancels the provider's requests.
+ * @returns {object} The provider and its `{ endpoint, apiKey, signal }` config.
+ */
+export const resolveProvider = (providerSettings, capability, signal) => {
+  const provider = generationProviders.find(p => p.id === providerSettings[capability]) || localProvider;
+  return { provider, config: { ...providerSettings.configs[provider.id], signal } };
+};
+
+/**
+ * Describes a generation request for the asset cache: the provider, model and endpoint that serve it,
+ * plus the inputs and settings that shape the result.
+ * @param {string} capability - The kind of asset.
+ * @param {object} provider - The provider from `resolveProvider`.
+ * @param {object} config - The provider's connection settings.
+ * @param {object} inputs - Prompt or text, voice and settings.
+ * @returns {object} The request, ready for `getAssetCacheKey`.
+ */
+export const describeRequest = (capability, provider, config, inputs) => ({
+  capability,
+  provider: provider.id,
+  model: provider.models?.[capability] ?? null,
+  endpoint: config.endpoint || null,
+  ...inputs,
+});
+
+/**
+ * Builds what is sent to an image provider. Images are requested in the project's frame shape.
+ * A negative prompt the provider cannot take separately is folded into the prompt.
+ * @param {object} request - The `{ prompt, negativePrompt, seed }` from `applyVisualStyle`.
+ * @param {string} aspectRatio - The project's `aspectRatios` ID.
+ * @param {object} provider - The image provider.
+ * @param {object} config - The provider's connection settings.
+ * @returns {object} The prompt and options to send, and the request for the asset cache.
+ */
+export const buildImageRequest = ({ prompt, negativePrompt, seed }, aspectRatio, provider, config) => {
+  const supported = provider.imageOptions || [];
+  const fullPrompt = negativePrompt && !supported.includes('negativePrompt') ? `${prompt}. Avoid: ${negativePrompt}` : prompt;
+  const options = {
+    aspectRatio,
+    negativePrompt: supported.includes('negativePrompt') ? negativePrompt : null,
+    seed: supported.includes('seed') ? seed : null,
+  };
+  return { fullPrompt, options, cacheRequest: describeRequest('image', provider, config, { prompt: fullPrompt, ...options }) };
+};
+
+/**
+ * Creates one generation job per parsed scene.
+ * @param {Array} scenes - Scenes from `parseScript`.
+ * @param {number} runId - Distinguishes this run's scene IDs from earlier ones.
+ * @returns {Array} Pending jobs.
+ */
+export const createSceneJobs = (scenes, runId) => scenes.map((scene, index) => ({
+  id: `img_${runId}_${index}`,
+  index,
+  title: scene.title,
+  text: scene.text,
+  prompt: scene.prompt,
+  duration: scene.duration,
+  segments: scene.segments,
+  status: 'pending',
+  error: null,
+  result: null,
+}));
+
+/**
+ * Creates the subtitles for freshly generated scenes, one cue per narrated scene.
+ * @param {Array} scenes - Timed scenes, in the same order as their jobs.
+ * @param {Array} jobs - The finished jobs the scenes were made from.
+ * @returns {Array} Subtitle cues linked to scenes by `sceneId`.
+ */
+export const buildSceneSubtitles = (scenes, jobs) => scenes.map((scene, index) => ({
+  sceneId: scene.id,
+  text: jobs[index].text,
+  startTime: scene.startTime,
+  endTime: scene.startTime + scene.duration,
+})).filter(cue => cue.text);
+
+/**
+ * Generates a video without the editor: the narration and image for each scene, a few scenes at a time,
+ * laid out back to back with one subtitle cue per narrated scene. A failed scene is reported and left out.
+ * @param {object} options - The `script`, `splitSettings`, `selectedVoice` and `speakerVoices`, `visualStyle`,
+ *   frame `aspectRatio` and `providerSettings`, plus an abort `signal`, an `onStep` callback called after
+ *   each narration or image request settles, and an `onRetry` callback passed to `withRetry`.
+ * @returns {object} The timed `scenes`, their `subtitles`, and `failures` as `{ index, title, error }`.
+ */
+export const generateVideo = async ({
+  script,
+  splitSettings = defaultSplitSettings,
+  selectedVoice = null,
+  speakerVoices = {},
+  visualStyle = defaultVisualStyle,
+  aspectRatio = defaultVideoFormat.aspectRatio,
+  providerSettings = defaultProviderSettings,
+  signal = new AbortController().signal,
+  onStep = () => {},
+  onRetry,
+}) => {
+  const parsed = parseScript(script, splitSettings);
+  if (parsed.errors.length > 0) {
+    throw new Error(`Script markup errors: ${parsed.errors.map(error => `line ${error.line}: ${error.message}`).join(' ')}`);
+  }
+  const speech = resolveProvider(providerSettings, 'speech', signal);
+  const image = resolveProvider(providerSettings, 'image', signal);
+  const retryOptions = { retries: providerSettings.retries, signal, ...(onRetry ? { onRetry } : {}) };
+  const voice = selectedVoice || (await speech.provider.listVoices(speech.config))[0].id;
+
+  const generateNarration = async (segments) => {
+    const clips = await Promise.all(segments.map(segment => segment.type === 'speech'
+      ? withRetry(() => speech.provider.generateSpeech(segment.text, speakerVoices[segment.speaker] || voice, speech.config), retryOptions)
+      : null));
+    return joinNarration(segments, clips);
+  };
+  const generateImage = (job) => {
+    const { fullPrompt, options } = buildImageRequest(applyVisualStyle(job.prompt, job.text, visualStyle), aspectRatio, image.provider, image.config);
+    return withRetry(() => image.provider.generateImage(fullPrompt, options, image.config), retryOptions);
+  };
+
+  const jobs = createSceneJobs(parsed.scenes, Date.now());
+  const tasks = jobs.map(job => async () => {
+    const [voiceClip, imageUrl] = await Promise.all([
+      generateNarration(job.segments).finally(onStep),
+      generateImage(job).finally(onStep),
+    ]);
+    return { ...job, status: 'done', result: { voiceClip, imageUrl } };
+  });
+  const settled = await runWithConcurrency(tasks, providerSettings.concurrency, signal);
+
+  const doneJobs = settled.filter(outcome => outcome.status === 'fulfilled').map(outcome => outcome.value);
+  const failures = settled
+    .map((outcome, index) => outcome.status === 'rejected' ? { index, title: jobs[index].title, error: describeError(outcome.reason) } : null)
+    .filter(Boolean);
+  const scenes = retimeScenes(doneJobs.map(createSceneFromJob));
+  return { scenes, subtitles: buildSceneSubtitles(scenes, doneJobs), failures };
+};
+
+/**
+ * Gathers the files of an asset package: voice-over, scene images and clips, music, sound effects,
+ * subtitles in every language, and the manifest with the FFmpeg script, EDL and FCPXML built from it.
+ * @param {object} project - The `name`, `videoFormat` and `language`, the `voiceOverUrl`, timed `scenes`,
+ *   `musicUrl` and `musicSettings`, `soundEffects`, `subtitles`, and other `languageTracks`.
+ * @param {function} measureAudio - Returns the length of an audio URL in seconds, or null if unknown.
+ * @returns {Array} Files as `{ name, data, executable }`, where data is a Blob or a string.
+ */
+export const collectPackageFiles = async ({
+  name,
+  videoFormat,
+  language,
+  voiceOverUrl,
+  scenes,
+  musicUrl = null,
+  musicSettings = null,
+  soundEffects = [],
+  subtitles,
+  languageTracks = [],
+}, measureAudio = async () => null) => {
+  const files = [];
+  const fetchBlob = (url) => fetch(url).then(r => r.blob());
+
+  files.push({ name: "voice-over.wav", data: await fetchBlob(voiceOverUrl) });
+
+  const packagedScenes = [];
+  for (let i = 0; i < scenes.length; i++) {
+    const scene = scenes[i];
+    const number = String(i + 1).padStart(3, '0');
+    // Video scenes' pictures are JPEG posters, uploaded images keep their own format
+    const imageBlob = await fetchBlob(scene.src);
+    const sceneFiles = { image: `image_${number}.${getMediaExtension(imageBlob, 'png')}`, clip: null };
+    files.push({ name: sceneFiles.image, data: imageBlob });
+    if (scene.clip) {
+      const clipBlob = await fetchBlob(scene.clip.src);
+      sceneFiles.clip = `clip_${number}.${getMediaExtension(clipBlob, 'mp4')}`;
+      files.push({ name: sceneFiles.clip, data: clipBlob });
+    }
+    packagedScenes.push({ ...scene, files: sceneFiles });
+  }
+
+  // The music and each distinct sound effect, with their lengths for the timeline exports
+  const addAudio = async (url, baseName) => {
+    const blob = await fetchBlob(url);
+    const file = `${baseName}.${getMediaExtension(blob, 'wav')}`;
+    files.push({ name: file, data: blob });
+    return { file, sourceDuration: await measureAudio(url) };
+  };
+  const music = musicUrl ? { ...await addAudio(musicUrl, 'music'), settings: musicSettings } : null;
+  const effectFiles = new Map();
+  for (const sfx of soundEffects) {
+    if (!effectFiles.has(sfx.src)) {
+      effectFiles.set(sfx.src, await addAudio(sfx.src, `sfx_${String(effectFiles.size + 1).padStart(3, '0')}`));
+    }
+  }
+
+  // Subtitles in both common formats
+  files.push({ name: "subtitles.srt", data: subtitlesToSrt(subtitles) });
+  files.push({ name: "subtitles.vtt", data: subtitlesToVtt(subtitles) });
+  const translations = languageTracks.map(track => ({
+    language: track.locale,
+    srt: `subtitles.${track.locale}.srt`,
+    vtt: `subtitles.${track.locale}.vtt`,
+  }));
+  languageTracks.forEach((track, i) => {
+    files.push({ name: translations[i].srt, data: subtitlesToSrt(track.subtitles) });
+    files.push({ name: translations[i].vtt, data: subtitlesToVtt(track.subtitles) });
+  });
+
+  // Describe the cut, and write it out for FFmpeg and desktop editors
+  const { width, height } = getFrameSize(videoFormat.aspectRatio, videoFormat.resolution);
+  const manifest = buildExportManifest({
+    name,
+    width,
+    height,
+    aspectRatio: videoFormat.aspectRatio,
+    language,
+    scenes: packagedScenes,
+    voiceOverFile: "voice-over.wav",
+    music,
+    soundEffects: soundEffects.map(sfx => ({ ...sfx, ...effectFiles.get(sfx.src) })),
+    subtitles,
+    translations,
+  });
+  files.push({ name: "manifest.json", data: JSON.stringify(manifest, null, 2) });
+  files.push({ name: "render-ffmpeg.sh", data: manifestToFfmpegScript(manifest), executable: true });
+  files.push({ name: "timeline.edl", data: manifestToEdl(manifest) });
+  files.push({ name: "timeline.fcpxml", data: manifestToFcpxml(manifest) });
+  return files;
+};